@@ -15,7 +15,9 @@ const API_CONFIG = Object.freeze({
 const SessionManager = {
     SESSION_KEY: 'ar_shooter_session_id',
     USERNAME_KEY: 'ar_shooter_username',
+    MERGE_DECLINED_KEY: 'ar_shooter_merge_declined',
     _telegramUser: null,
+    _authToken: null,
     
     /**
      * Инициализация - определяем пользователя
@@ -54,6 +56,18 @@ const SessionManager = {
         return this._telegramUser?.initData || null;
     },
     
+    /**
+     * Токен сессии от сервера (выдаётся при входе через Telegram)
+     * Хранится только в памяти: при каждом запуске Mini App вход выполняется заново
+     */
+    getAuthToken() {
+        return this._authToken;
+    },
+    
+    setAuthToken(token) {
+        this._authToken = token || null;
+    },
+    
     /**
      * Получить Session ID (fallback для не-Telegram)
      */
@@ -66,6 +80,20 @@ const SessionManager = {
         return sessionId;
     },
     
+    /**
+     * Session ID гостя, если он уже сохранён (без создания нового)
+     */
+    getStoredSessionId() {
+        return localStorage.getItem(this.SESSION_KEY);
+    },
+    
+    /**
+     * Забыть гостевую сессию (после переноса её истории в аккаунт Telegram)
+     */
+    clearSessionId() {
+        localStorage.removeItem(this.SESSION_KEY);
+    },
+    
     /**
      * Получить имя пользователя
      */
@@ -114,14 +142,12 @@ const SessionManager = {
     
     /**
      * Получить данные для API запроса
+     * Игрока из Telegram сервер определяет только по токену сессии (заголовок Authorization),
+     * поэтому в тело запроса ничего не добавляется; мок-пользователь в dev режиме играет как гость
      */
     getAuthData() {
-        const telegramId = this.getTelegramId();
-        if (telegramId) {
-            return {
-                telegramId: telegramId,
-                initData: this.getInitData(),
-            };
+        if (this.useTelegram()) {
+            return {};
         }
         return {
             sessionId: this.getSessionId(),
@@ -290,6 +316,10 @@ window.DebugLogger = DebugLogger;
 // API SERVICE (с поддержкой Telegram)
 // ============================================
 const ApiService = {
+    // Коды ответа 401, после которых нужно войти заново
+    AUTH_RETRY_CODES: ['AUTH_TOKEN_INVALID', 'AUTH_TOKEN_EXPIRED'],
+    _loginPromise: null,
+    
     // Базовый URL (из конфига или по умолчанию)
     getBaseUrl() {
         if (typeof window.APP_CONFIG !== 'undefined' && window.APP_CONFIG.API_URL) {
@@ -298,11 +328,42 @@ const ApiService = {
         return API_CONFIG.BASE_URL;
     },
     
+    /**
+     * Вход через Telegram: обмен initData на токен сессии
+     * Параллельные запросы ждут один и тот же вход
+     */
+    login() {
+        if (!this._loginPromise) {
+            this._loginPromise = this.request('/auth/telegram', {
+                method: 'POST',
+                body: JSON.stringify({ initData: SessionManager.getInitData() }),
+                skipAuth: true,
+            }).then(result => {
+                if (result?.success) {
+                    SessionManager.setAuthToken(result.data.token);
+                    DebugLogger.success('Telegram login OK');
+                }
+                return result;
+            }).finally(() => {
+                this._loginPromise = null;
+            });
+        }
+        return this._loginPromise;
+    },
+    
     async request(endpoint, options = {}) {
+        const { skipAuth = false, isRetry = false, ...fetchOptions } = options;
+        
+        // Игрок из Telegram ходит в API с токеном сессии
+        if (!skipAuth && SessionManager.useTelegram() && !SessionManager.getAuthToken()) {
+            await this.login();
+        }
+        const authToken = skipAuth ? null : SessionManager.getAuthToken();
+        
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.TIMEOUT);
         
-        const method = options.method || 'GET';
+        const method = fetchOptions.method || 'GET';
         DebugLogger.info(`${method} ${endpoint}`);
         
         try {
@@ -314,12 +375,13 @@ const ApiService = {
             }
             
             const response = await fetch(url, {
-                ...options,
+                ...fetchOptions,
                 signal: controller.signal,
                 headers: {
                     'Content-Type': 'application/json',
                     'Cache-Control': 'no-cache',
-                    ...options.headers,
+                    ...(authToken && { 'Authorization': `Bearer ${authToken}` }),
+                    ...fetchOptions.headers,
                 },
             });
             
@@ -327,6 +389,13 @@ const ApiService = {
             
             const data = await response.json();
             
+            // Токен истёк или сервер сменил секрет — входим заново и повторяем запрос один раз
+            if (response.status === 401 && authToken && !isRetry && this.AUTH_RETRY_CODES.includes(data.code)) {
+                DebugLogger.warn(`${method} ${endpoint} → ${data.code}, re-login`);
+                SessionManager.setAuthToken(null);
+                return this.request(endpoint, { ...options, isRetry: true });
+            }
+            
             if (!response.ok) {
                 DebugLogger.error(`${method} ${endpoint} → ${response.status}: ${data.error || 'Error'}`);
                 throw new Error(data.error || 'Ошибка сервера');
@@ -356,6 +425,15 @@ const ApiService = {
         }
     },
     
+    // Начать игровую сессию: сервер фиксирует время начала и выдаёт токен
+    async startGame(gameMode = 'endless', weapon = 'pistol') {
+        const authData = SessionManager.getAuthData();
+        return this.request('/games/start', {
+            method: 'POST',
+            body: JSON.stringify({ ...authData, gameMode, weapon }),
+        });
+    },
+    
     async submitScore(gameResult) {
         // Валидация на клиенте
         if (!gameResult || typeof gameResult.score !== 'number') {
@@ -363,22 +441,36 @@ const ApiService = {
             return null;
         }
         
+        // Без токена игровой сессии сервер результат не примет
+        if (!gameResult.gameToken) {
+            DebugLogger.warn('No game token — score not submitted');
+            return null;
+        }
+        
         // Получаем данные аутентификации (Telegram или Session)
         const authData = SessionManager.getAuthData();
         
-        DebugLogger.info(`Saving: score=${gameResult.score}, tgId=${authData.telegramId || 'none'}`);
+        DebugLogger.info(`Saving: score=${gameResult.score}, auth=${authData.sessionId ? 'session' : 'token'}`);
         
         const bodyData = {
-            ...authData,  // telegramId + initData или sessionId
+            ...authData,  // sessionId гостя (игрок из Telegram — по токену)
+            gameToken: gameResult.gameToken,
+            events: gameResult.events || [],
             score: Math.max(0, Math.floor(gameResult.score)),
             targetsHit: Math.max(0, Math.floor(gameResult.targetsHit)),
             shotsFired: Math.max(0, Math.floor(gameResult.shotsFired)),
             maxCombo: Math.max(1, Math.floor(gameResult.maxCombo)),
-            durationMs: Math.max(1000, Math.floor(gameResult.durationMs)),
             gameMode: gameResult.gameMode || 'endless',
+            weapon: gameResult.weapon || 'pistol',
         };
         
-        DebugLogger.info(`Data: hits=${bodyData.targetsHit}, shots=${bodyData.shotsFired}, combo=${bodyData.maxCombo}, dur=${bodyData.durationMs}ms`);
+        // Данные режима выживания
+        if (gameResult.gameMode === 'survival') {
+            bodyData.livesLost = Math.max(0, Math.floor(gameResult.livesLost || 0));
+            bodyData.wave = Math.max(1, Math.floor(gameResult.wave || 1));
+        }
+        
+        DebugLogger.info(`Data: hits=${bodyData.targetsHit}, shots=${bodyData.shotsFired}, combo=${bodyData.maxCombo}`);
         
         const result = await this.request('/scores', {
             method: 'POST',
@@ -394,8 +486,34 @@ const ApiService = {
         return result;
     },
     
-    async getLeaderboard(type = 'score', limit = 10) {
-        return this.request(`/scores/leaderboard?type=${type}&limit=${limit}`);
+    async getLeaderboard(type = 'score', limit = 10, filters = {}) {
+        const params = new URLSearchParams({ type, limit });
+        // Пустой фильтр = общий рейтинг
+        if (filters.mode) params.set('mode', filters.mode);
+        if (filters.weapon) params.set('weapon', filters.weapon);
+        if (filters.period) params.set('period', filters.period);
+        return this.request(`/scores/leaderboard?${params}`);
+    },
+    
+    async getLeaderboardAround(type = 'score', filters = {}, range = 3) {
+        const params = new URLSearchParams({ type, range });
+        if (SessionManager.useTelegram()) {
+            params.set('telegramId', SessionManager.getTelegramId());
+        } else {
+            params.set('sessionId', SessionManager.getSessionId());
+        }
+        if (filters.mode) params.set('mode', filters.mode);
+        if (filters.weapon) params.set('weapon', filters.weapon);
+        if (filters.period) params.set('period', filters.period);
+        return this.request(`/scores/leaderboard/around?${params}`);
+    },
+    
+    // Перенести историю гостевой сессии в аккаунт Telegram
+    async mergeGuest(sessionId) {
+        return this.request('/auth/merge', {
+            method: 'POST',
+            body: JSON.stringify({ sessionId }),
+        });
     },
     
     async getUserStats() {
@@ -429,6 +547,7 @@ const CONFIG = Object.freeze({
     DISC_COUNT: 6,
     DISC_SPEED: 0.012,
     DISC_SIZE: 0.5,
+    DISC_CORE_RATIO: 0.4,    // Ядро диска — доля радиуса (попадание в ядро — хедшот)
     AIM_ASSIST_RADIUS: 150,
     AIM_ASSIST_STRENGTH: 0.5,
     DETECTION_INTERVAL: 20,
@@ -444,6 +563,11 @@ const CONFIG = Object.freeze({
 });
 
 // Конфиг оружия
+// unlockLevel — уровень игрока, с которого оружие открыто (должен совпадать с WEAPON_RULES на сервере)
+// pellets — дробинок в выстреле (число и правила очков дроби проверяет сервер)
+// headshot — множитель очков за попадание в ядро диска (тоже проверяется сервером)
+// magazine, reloadTime — патронов в магазине и перезарядка магазина (мс): сервер не примет
+// больше magazine выстрелов без перезарядки в журнале
 const WEAPONS = {
     pistol: {
         name: 'Пистолет',
@@ -453,6 +577,9 @@ const WEAPONS = {
         hands: 1,                // Количество рук
         hitRadius: 100,          // Радиус попадания
         aimAssist: 0.5,          // Сила магнитного прицела
+        magazine: 12,            // Патронов в магазине
+        reloadTime: 1200,        // Перезарядка магазина (мс)
+        unlockLevel: 1,
     },
     dual: {
         name: 'Двойные пистолеты',
@@ -462,6 +589,9 @@ const WEAPONS = {
         hands: 2,                // Две руки
         hitRadius: 90,           // Чуть меньше радиус
         aimAssist: 0.4,          // Слабее магнит
+        magazine: 20,            // Общий магазин на обе руки
+        reloadTime: 1800,        // Перезаряжать две обоймы дольше
+        unlockLevel: 1,
     },
     shotgun: {
         name: 'Дробовик',
@@ -469,9 +599,15 @@ const WEAPONS = {
         maxCombo: 5,             // Маленькое комбо
         damage: 200,             // Большой урон
         hands: 1,
-        hitRadius: 180,          // Большой радиус поражения
+        pellets: 8,              // Дробинок в выстреле — каждая может поразить свой диск
+        spread: 180,             // Радиус разлёта дроби вокруг прицела
+        pelletRadius: 45,        // Радиус поражения одной дробинки
+        minFalloff: 0.5,         // Урон на краю разлёта (доля от полного)
+        multiKillBonus: 0.5,     // Бонус за каждый диск после первого (доля урона)
         aimAssist: 0.3,
-        locked: true,
+        magazine: 6,             // Мало патронов — мультикилл важнее скорострельности
+        reloadTime: 2500,        // Долгая перезарядка
+        unlockLevel: 3,
     },
     sniper: {
         name: 'Снайперка',
@@ -481,7 +617,16 @@ const WEAPONS = {
         hands: 1,
         hitRadius: 50,           // Маленький радиус — нужна точность
         aimAssist: 0.2,          // Почти нет помощи
-        locked: true,
+        headshot: 2,             // Множитель очков за попадание в ядро диска
+        scope: {
+            steadySpeed: 0.08,   // Скорость руки (доля экрана в секунду), при которой она считается неподвижной
+            steadyTime: 700,     // Сколько держать руку неподвижно до приближения (мс)
+            releaseTime: 300,    // Приближение держится после начала движения — рывок выстрела успевает пройти в прицеле
+            zoom: 2.5,           // Кратность прицела
+        },
+        magazine: 5,             // Каждый выстрел на счету
+        reloadTime: 2500,        // Долгая перезарядка
+        unlockLevel: 5,
     }
 };
 
@@ -490,6 +635,52 @@ function getWeaponConfig() {
     return WEAPONS[gameState.selectedWeapon] || WEAPONS.pistol;
 }
 
+// Конфиг режимов игры
+const GAME_MODES = {
+    endless: {
+        name: 'Бесконечный',
+        duration: null,                  // Без ограничения по времени
+    },
+    timed: {
+        name: 'На время',
+        duration: CONFIG.GAME_DURATION,  // Раунд заканчивается по таймеру
+    },
+    survival: {
+        name: 'Выживание',
+        duration: null,
+        lives: 5,                        // Улетевший диск отнимает жизнь
+        waveDuration: 15000,             // Новая волна каждые 15 секунд
+        speedStep: 0.15,                 // +15% скорости дисков за волну
+        maxDiscs: 12,                    // Потолок количества дисков
+    },
+    accuracy: {
+        name: 'Точность',
+        duration: null,
+        strikes: 3,                      // Три промаха — конец игры
+        maxStreak: 10,                   // Максимальный множитель серии
+        precisionBonus: 0.5,             // До +50% урона за попадание в центр
+    },
+};
+
+// Получить текущий конфиг режима
+function getModeConfig() {
+    return GAME_MODES[gameState.gameMode] || GAME_MODES.endless;
+}
+
+// Скорость дисков с учётом волны (растёт только в выживании)
+function getDiscSpeed() {
+    const mode = getModeConfig();
+    if (!mode.speedStep) return CONFIG.DISC_SPEED;
+    return CONFIG.DISC_SPEED * (1 + (gameState.wave - 1) * mode.speedStep);
+}
+
+// Количество дисков с учётом волны
+function getDiscCount() {
+    const mode = getModeConfig();
+    if (!mode.maxDiscs) return CONFIG.DISC_COUNT;
+    return Math.min(CONFIG.DISC_COUNT + gameState.wave - 1, mode.maxDiscs);
+}
+
 // ============================================
 // HUB NAVIGATION
 // ============================================
@@ -693,6 +884,35 @@ class AudioSystem {
         osc.start();
         osc.stop(this.ctx.currentTime + 0.2);
     }
+    // Сухой щелчок бойка — магазин пуст
+    playEmpty() {
+        if (!this.ctx || !settings.soundEnabled) return;
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        osc.type = 'square';
+        osc.connect(gain);
+        gain.connect(this.ctx.destination);
+        osc.frequency.setValueAtTime(1400, this.ctx.currentTime);
+        gain.gain.setValueAtTime(0.15, this.ctx.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + 0.03);
+        osc.start();
+        osc.stop(this.ctx.currentTime + 0.03);
+    }
+    // Лязг магазина: при начале перезарядки ниже, при окончании выше
+    playReload(isDone = false) {
+        if (!this.ctx || !settings.soundEnabled) return;
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        osc.type = 'triangle';
+        osc.connect(gain);
+        gain.connect(this.ctx.destination);
+        osc.frequency.setValueAtTime(isDone ? 600 : 300, this.ctx.currentTime);
+        osc.frequency.exponentialRampToValueAtTime(isDone ? 900 : 200, this.ctx.currentTime + 0.08);
+        gain.gain.setValueAtTime(0.3, this.ctx.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + 0.08);
+        osc.start();
+        osc.stop(this.ctx.currentTime + 0.08);
+    }
 }
 
 // ============================================
@@ -705,6 +925,7 @@ const gameState = {
     maxCombo: 1,
     targetsHit: 0,
     shotsFired: 0,
+    shotsHit: 0,     // Выстрелы с попаданием (дробь может поразить несколько дисков)
     
     // Timing
     startTime: 0,
@@ -733,10 +954,30 @@ const gameState = {
     
     // Game mode
     isPlaying: false,
-    gameMode: 'endless',
+    gameMode: 'endless',  // 'endless', 'timed', 'survival' или 'accuracy'
+    
+    // Survival
+    wave: 1,
+    livesLost: 0,
+    
+    // Accuracy
+    strikes: 0,
     
     // Weapon
     selectedWeapon: 'pistol',  // 'pistol' или 'dual'
+    
+    // Прицел снайперки: неподвижность руки (0-1), текущее приближение камеры
+    scope: { steadiness: 0, zoom: 1, isZoomed: false, lastSteadyTime: 0, lastUpdate: 0 },
+    
+    // Патроны в магазине и окончание перезарядки (0 — не перезаряжается)
+    ammo: 0,
+    reloadEndTime: 0,
+    
+    // Токен игровой сессии (POST /api/games/start)
+    gameToken: null,
+    
+    // Журнал выстрелов текущей игры
+    eventLog: [],
 };
 
 // Reset game state to initial values
@@ -745,9 +986,11 @@ function resetGameState() {
     gameState.combo = 1;
     gameState.maxCombo = 1;
     gameState.targetsHit = 0;
+    gameState.shotsHit = 0;
     gameState.shotsFired = 0;
     gameState.startTime = Date.now();
     gameState.lastHitTime = 0;
+    gameState.eventLog = [];
     gameState.lastShotTime = 0;
     gameState.isPlaying = true;
     
@@ -759,16 +1002,50 @@ function resetGameState() {
     gameState.aimPosition2 = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
     gameState.smoothedAimPosition2 = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
     
+    // Сброс прицела снайперки
+    gameState.scope = { steadiness: 0, zoom: 1, isZoomed: false, lastSteadyTime: 0, lastUpdate: 0 };
+    
     // Сброс кулдаунов
     lastShotTime1 = 0;
     lastShotTime2 = 0;
     
+    // Полный магазин
+    gameState.ammo = getWeaponConfig().magazine;
+    gameState.reloadEndTime = 0;
+    updateAmmoDisplay();
+    
     // Очистка детекторов
     jerkDetector.clear();
     jerkDetector2.clear();
     
     scoreDisplay.textContent = '0';
     comboDisplay.textContent = 'x1';
+    
+    // Сброс волны, жизней и промахов (выживание и точность)
+    gameState.wave = 1;
+    gameState.livesLost = 0;
+    gameState.strikes = 0;
+    
+    const mode = getModeConfig();
+    livesItem.style.display = mode.lives ? 'block' : 'none';
+    waveItem.style.display = mode.waveDuration ? 'block' : 'none';
+    strikesItem.style.display = mode.strikes ? 'block' : 'none';
+    livesDisplay.textContent = mode.lives || 0;
+    waveDisplay.textContent = '1';
+    strikesDisplay.textContent = `0/${mode.strikes || 0}`;
+    
+    // Новый раунд — свежие диски с базовой скоростью
+    if (scene) {
+        discs.forEach(d => d.respawn());
+        syncDiscCount();
+    }
+    
+    // Таймер показываем только в режимах с ограничением по времени
+    gameTimer.style.display = mode.duration ? 'block' : 'none';
+    gameTimer.classList.remove('warning');
+    if (mode.duration) {
+        timerValue.textContent = Math.ceil(mode.duration / 1000);
+    }
 }
 
 const jerkDetector = new JerkDetector();
@@ -797,13 +1074,24 @@ crosshairLeft = document.getElementById('crosshair-left');
 crosshairRight = document.getElementById('crosshair-right');
 const scoreDisplay = document.getElementById('score');
 const comboDisplay = document.getElementById('combo');
+const livesItem = document.getElementById('lives-item');
+const livesDisplay = document.getElementById('lives');
+const waveItem = document.getElementById('wave-item');
+const waveDisplay = document.getElementById('wave');
+const strikesItem = document.getElementById('strikes-item');
+const strikesDisplay = document.getElementById('strikes');
+const ammoItem = document.getElementById('ammo-item');
+const ammoDisplay = document.getElementById('ammo');
 const gestureIndicator = document.getElementById('gesture-indicator');
 const gestureIcon = document.getElementById('gesture-icon');
 const gestureText = document.getElementById('gesture-text');
 const shootHint = document.getElementById('shoot-hint');
+const SHOOT_HINT_TEXT = shootHint.textContent;
 const speedMeter = document.getElementById('speed-meter');
 const speedBar = document.getElementById('speed-bar');
 const jerkFlash = document.getElementById('jerk-flash');
+const gameTimer = document.getElementById('game-timer');
+const timerValue = document.getElementById('timer-value');
 
 // ============================================
 // HAND TRACKING
@@ -879,7 +1167,7 @@ class Disc {
         this.rim = new THREE.Mesh(rimGeo, rimMat);
         this.group.add(this.rim);
         
-        const coreGeo = new THREE.CircleGeometry(this.radius * 0.4, 32);
+        const coreGeo = new THREE.CircleGeometry(this.radius * CONFIG.DISC_CORE_RATIO, 32);
         const coreMat = new THREE.MeshBasicMaterial({
             color: new THREE.Color().setHSL(this.hue, 1, 0.8),
             transparent: true, opacity: 0.9, side: THREE.DoubleSide,
@@ -904,7 +1192,7 @@ class Disc {
         const tx = (Math.random() - 0.5) * 2;
         const ty = (Math.random() - 0.5) * 2;
         const dir = new THREE.Vector3(tx - this.group.position.x, ty - this.group.position.y, 0).normalize();
-        this.baseSpeed = CONFIG.DISC_SPEED * (0.7 + Math.random() * 0.5);
+        this.baseSpeed = getDiscSpeed() * (0.7 + Math.random() * 0.5);
         this.velocity.copy(dir).multiplyScalar(this.baseSpeed);
         this.rotSpeed = (Math.random() - 0.5) * 0.12;
         this.wobblePhase = Math.random() * Math.PI * 2;
@@ -946,6 +1234,8 @@ class Disc {
         this.core.material.opacity = 0.7 + Math.sin(this.pulsePhase) * 0.3;
         
         if (Math.abs(this.group.position.x) > 7 || Math.abs(this.group.position.y) > 7) {
+            // Диск улетел не сбитым
+            onDiscEscaped();
             this.spawn();
         }
     }
@@ -956,6 +1246,14 @@ class Disc {
         return { x: (v.x * 0.5 + 0.5) * window.innerWidth, y: (-v.y * 0.5 + 0.5) * window.innerHeight };
     }
     
+    // Радиус диска на экране (px) с учётом приближения прицела
+    getScreenRadius() {
+        const edge = this.group.position.clone();
+        edge.x += this.radius;
+        edge.project(camera);
+        return Math.abs((edge.x * 0.5 + 0.5) * window.innerWidth - this.getScreenPos().x);
+    }
+    
     respawn() {
         this.hue = Math.random();
         this.disc.material.color.setHSL(this.hue, 0.85, 0.5);
@@ -965,6 +1263,23 @@ class Disc {
         this.core.material.color.setHSL(this.hue, 1, 0.8);
         this.spawn();
     }
+    
+    destroy() {
+        this.alive = false;
+        scene.remove(this.group);
+        for (const mesh of [this.disc, this.rim, this.core]) {
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        }
+    }
+}
+
+// Добавить или убрать диски до нужного количества
+function syncDiscCount() {
+    if (!scene) return;
+    const target = getDiscCount();
+    while (discs.length < target) discs.push(new Disc(discs.length));
+    while (discs.length > target) discs.pop().destroy();
 }
 
 // ============================================
@@ -1023,6 +1338,14 @@ function detectPistolGesture(landmarks) {
     return indexExtended && [middleCurled, ringCurled, pinkyCurled].filter(x=>x).length >= 1;
 }
 
+// Кулак — все четыре пальца согнуты (жест перезарядки)
+// Кончик указательного ниже сустава с запасом, чтобы кулак не путался с жестом пистолета
+function detectFistGesture(landmarks) {
+    if (!landmarks || landmarks.length === 0) return false;
+    const h = landmarks[0];
+    return [[8, 6], [12, 10], [16, 14], [20, 18]].every(([tip, pip]) => h[tip].y > h[pip].y + 0.02);
+}
+
 function applyAimAssist(rawX, rawY, handIndex = 0) {
     const weapon = getWeaponConfig();
     let ax = rawX, ay = rawY;
@@ -1052,7 +1375,61 @@ function applyAimAssist(rawX, rawY, handIndex = 0) {
     return { x: ax, y: ay };
 }
 
-function showVFX(text, x, y, isHit) {
+// Диск улетел за пределы поля — в выживании это минус жизнь
+function onDiscEscaped() {
+    const mode = getModeConfig();
+    if (!mode.lives || !gameState.isPlaying) return;
+    
+    gameState.livesLost++;
+    gameState.combo = 1;
+    comboDisplay.textContent = 'x1';
+    
+    const livesLeft = Math.max(0, mode.lives - gameState.livesLost);
+    livesDisplay.textContent = livesLeft;
+    showVFX('-1 ❤', window.innerWidth / 2, 80, false);
+    audio.playMiss();
+    
+    if (livesLeft === 0) {
+        endGame();
+    }
+}
+
+// Промах в режиме точности — страйк, после последнего игра заканчивается
+function registerStrike() {
+    const mode = getModeConfig();
+    if (!mode.strikes || !gameState.isPlaying) return;
+    
+    gameState.strikes++;
+    strikesDisplay.textContent = `${gameState.strikes}/${mode.strikes}`;
+    
+    if (gameState.strikes >= mode.strikes) {
+        endGame();
+    }
+}
+
+// spread — разлёт дроби {radius, pellets: [{x, y}]}: кольцо и точки попадания дробинок
+function showVFX(text, x, y, isHit, spread = null) {
+    if (spread) {
+        const ring = document.createElement('div');
+        ring.className = `vfx-spread ${isHit ? 'vfx-hit' : 'vfx-miss'}`;
+        ring.style.left = x + 'px';
+        ring.style.top = y + 'px';
+        ring.style.width = ring.style.height = spread.radius * 2 + 'px';
+        
+        for (const pellet of spread.pellets) {
+            const dot = document.createElement('div');
+            dot.className = 'vfx-pellet';
+            dot.style.left = (pellet.x - x + spread.radius) + 'px';
+            dot.style.top = (pellet.y - y + spread.radius) + 'px';
+            ring.appendChild(dot);
+        }
+        
+        document.body.appendChild(ring);
+        setTimeout(() => ring.remove(), 500);
+    }
+    
+    if (!text) return;
+    
     const el = document.createElement('div');
     el.className = `vfx-text ${isHit ? 'vfx-hit' : 'vfx-miss'}`;
     el.textContent = text;
@@ -1062,6 +1439,88 @@ function showVFX(text, x, y, isHit) {
     setTimeout(() => el.remove(), 700);
 }
 
+// Дробинки ложатся случайно и равномерно по кругу разлёта вокруг прицела
+function samplePellets(weapon, ax, ay) {
+    const pellets = [];
+    for (let i = 0; i < weapon.pellets; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const r = weapon.spread * Math.sqrt(Math.random());
+        pellets.push({ x: ax + Math.cos(angle) * r, y: ay + Math.sin(angle) * r });
+    }
+    return pellets;
+}
+
+// Диски, поражённые выстрелом: [{disc, sp, dist}], dist — от прицела до диска без приближения прицела
+// Пуля поражает первый диск в радиусе попадания, дробинка — ближайший ещё не поражённый диск
+function findShotHits(weapon, ax, ay, pellets) {
+    const zoom = gameState.scope.zoom;
+    const targets = [];
+    for (const d of discs) {
+        if (!d.alive) continue;
+        const sp = d.getScreenPos();
+        targets.push({ disc: d, sp, dist: Math.hypot(sp.x - ax, sp.y - ay) / zoom });
+    }
+    
+    if (!pellets) {
+        const target = targets.find(t => t.dist < weapon.hitRadius);
+        return target ? [target] : [];
+    }
+    
+    const hits = [];
+    for (const pellet of pellets) {
+        let nearest = null;
+        let nearestDist = weapon.pelletRadius;
+        for (const target of targets) {
+            if (hits.includes(target)) continue;
+            const dist = Math.hypot(target.sp.x - pellet.x, target.sp.y - pellet.y);
+            if (dist < nearestDist) {
+                nearest = target;
+                nearestDist = dist;
+            }
+        }
+        if (nearest) hits.push(nearest);
+    }
+    return hits;
+}
+
+// Урон дроби падает к краю разлёта до minFalloff от полного
+function getPelletFalloff(weapon, dist) {
+    return 1 - (1 - weapon.minFalloff) * Math.min(1, dist / weapon.spread);
+}
+
+// Патроны в HUD; пустой магазин подсказывает жест перезарядки
+function updateAmmoDisplay() {
+    const weapon = getWeaponConfig();
+    const isReloading = gameState.reloadEndTime > 0;
+    
+    ammoDisplay.textContent = isReloading ? '⟳' : `${gameState.ammo}/${weapon.magazine}`;
+    ammoItem.classList.toggle('reloading', isReloading);
+    ammoItem.classList.toggle('empty', !isReloading && gameState.ammo === 0);
+    shootHint.textContent = !isReloading && gameState.ammo === 0 ? '✊ Сожми кулак — перезарядка' : SHOOT_HINT_TEXT;
+}
+
+// Перезарядка по жесту кулака: стрелять нельзя reloadTime, затем магазин полный
+function startReload() {
+    const weapon = getWeaponConfig();
+    if (!gameState.isPlaying || gameState.reloadEndTime > 0 || gameState.ammo === weapon.magazine) return;
+    
+    const now = Date.now();
+    gameState.reloadEndTime = now + weapon.reloadTime;
+    gameState.eventLog.push([now - gameState.startTime, -1]);
+    audio.playReload();
+    updateAmmoDisplay();
+}
+
+// Перезарядка закончилась — магазин полный
+function updateReload(now) {
+    if (gameState.reloadEndTime === 0 || now < gameState.reloadEndTime) return;
+    
+    gameState.reloadEndTime = 0;
+    gameState.ammo = getWeaponConfig().magazine;
+    audio.playReload(true);
+    updateAmmoDisplay();
+}
+
 // Отдельные кулдауны для каждой руки
 let lastShotTime1 = 0, lastShotTime2 = 0;
 
@@ -1078,7 +1537,18 @@ function shoot(handIndex = 0) {
         lastShotTime2 = now;
     }
     
-    if (!gameState.isPlaying) return;
+    if (!gameState.isPlaying || gameState.reloadEndTime > 0) return;
+    
+    // Пустой магазин — щелчок без выстрела, в журнал не попадает
+    if (gameState.ammo === 0) {
+        audio.playEmpty();
+        const ex = handIndex === 0 ? gameState.aimPosition.x : gameState.aimPosition2.x;
+        const ey = handIndex === 0 ? gameState.aimPosition.y : gameState.aimPosition2.y;
+        showVFX('ПУСТО', ex, ey, false);
+        return;
+    }
+    gameState.ammo--;
+    updateAmmoDisplay();
     
     gameState.lastShotTime = now;
     gameState.shotsFired++;
@@ -1088,52 +1558,128 @@ function shoot(handIndex = 0) {
 
     audio.playShoot();
 
-    let hit = false;
+    let shotCombo = 0;
+    let shotPoints = 0;
     // Выбираем позицию прицела в зависимости от руки
     const ax = handIndex === 0 ? gameState.aimPosition.x : gameState.aimPosition2.x;
     const ay = handIndex === 0 ? gameState.aimPosition.y : gameState.aimPosition2.y;
 
-    for (const d of discs) {
-        if (!d.alive) continue;
-        const sp = d.getScreenPos();
-        const dist = Math.sqrt((sp.x-ax)**2 + (sp.y-ay)**2);
+    // У дробовика каждая дробинка может поразить свой диск
+    const pellets = weapon.pellets ? samplePellets(weapon, ax, ay) : null;
+    const spread = pellets && { radius: weapon.spread, pellets };
+    const hits = findShotHits(weapon, ax, ay, pellets);
+
+    if (hits.length > 0) {
+        // Урон и очки зависят от оружия
+        const mode = getModeConfig();
+        shotCombo = gameState.combo;
         
-        // Радиус попадания зависит от оружия
-        if (dist < weapon.hitRadius) {
-            hit = true;
+        for (const { disc: d, sp, dist } of hits) {
             gameState.targetsHit++;
             particles.emit(d.group.position.x, d.group.position.y, d.group.position.z, 30, d.hue);
             
-            // Урон и очки зависят от оружия
-            const points = weapon.damage * gameState.combo;
-            gameState.score += points;
-            
-            if (now - gameState.lastHitTime < 2000) {
-                // Максимальное комбо зависит от оружия
-                gameState.combo = Math.min(gameState.combo + 1, weapon.maxCombo);
+            let points;
+            if (pellets) {
+                points = Math.round(weapon.damage * shotCombo * getPelletFalloff(weapon, dist));
+            } else {
+                points = weapon.damage * shotCombo;
+                
+                // Хедшот: пуля попала в ядро диска
+                const isHeadshot = weapon.headshot && dist < d.getScreenRadius() / gameState.scope.zoom * CONFIG.DISC_CORE_RATIO;
+                if (isHeadshot) {
+                    points *= weapon.headshot;
+                    showVFX('ХЕДШОТ', sp.x, sp.y - 50, true);
+                }
+                
+                if (mode.strikes) {
+                    // Режим точности: бонус за попадание ближе к центру диска
+                    const precision = 1 - dist / weapon.hitRadius;
+                    points += Math.round(weapon.damage * mode.precisionBonus * precision);
+                }
             }
-            gameState.maxCombo = Math.max(gameState.maxCombo, gameState.combo);
-            gameState.lastHitTime = now;
+            shotPoints += points;
             d.respawn();
             showVFX(`+${points}`, sp.x, sp.y, true);
-            audio.playHit();
-            break;
         }
-    }
-
-    if (!hit) {
+        
+        // Мультикилл: бонус за каждый диск после первого
+        if (hits.length > 1) {
+            const bonus = Math.round(weapon.damage * weapon.multiKillBonus) * (hits.length - 1);
+            shotPoints += bonus;
+            showVFX(`МУЛЬТИКИЛЛ x${hits.length} +${bonus}`, ax, ay - 60, true, spread);
+        } else if (spread) {
+            showVFX('', ax, ay, true, spread);
+        }
+        
+        if (mode.strikes) {
+            // Серия в режиме точности растёт с каждым попаданием без ограничения по времени
+            gameState.combo = Math.min(gameState.combo + 1, mode.maxStreak);
+        } else if (now - gameState.lastHitTime < 2000) {
+            // Максимальное комбо зависит от оружия
+            gameState.combo = Math.min(gameState.combo + 1, weapon.maxCombo);
+        }
+        gameState.score += shotPoints;
+        gameState.shotsHit++;
+        gameState.maxCombo = Math.max(gameState.maxCombo, gameState.combo);
+        gameState.lastHitTime = now;
+        audio.playHit();
+    } else {
         gameState.combo = 1;
-        showVFX('МИМО', ax, ay, false);
+        showVFX('МИМО', ax, ay, false, spread);
         audio.playMiss();
+        registerStrike();
     }
 
+    // В журнал — точка прицела без приближения снайперского прицела
+    const origin = unzoomPoint(ax, ay);
+    recordShot(now, handIndex, origin.x, origin.y, shotCombo, shotPoints, hits.length);
+
     scoreDisplay.textContent = gameState.score;
     comboDisplay.textContent = `x${gameState.combo}`;
 }
 
+// Журнал выстрелов: [t, рука, x, y, комбо, очки, дисков поражено] — сервер пересчитывает по нему результат
+// Перезарядка записывается в тот же журнал как [t, -1]
+function recordShot(now, handIndex, x, y, combo, points, hits) {
+    const toPermille = (value, size) => Math.min(1000, Math.max(0, Math.round(value / size * 1000)));
+    gameState.eventLog.push([
+        now - gameState.startTime,
+        handIndex,
+        toPermille(x, window.innerWidth),
+        toPermille(y, window.innerHeight),
+        combo,
+        points,
+        hits,
+    ]);
+}
+
+// Конус разлёта дроби: от руки к кругу разлёта вокруг прицела
+function drawSpreadCone(sx, sy, ex, ey, radius, isLocked) {
+    const len = Math.hypot(ex - sx, ey - sy) || 1;
+    const nx = -(ey - sy) / len * radius;
+    const ny = (ex - sx) / len * radius;
+    
+    laserCtx.fillStyle = isLocked ? 'rgba(0,255,204,0.08)' : 'rgba(255,170,0,0.08)';
+    laserCtx.beginPath();
+    laserCtx.moveTo(sx, sy);
+    laserCtx.lineTo(ex + nx, ey + ny);
+    laserCtx.arc(ex, ey, radius, Math.atan2(ny, nx), Math.atan2(-ny, -nx), true);
+    laserCtx.closePath();
+    laserCtx.fill();
+    
+    laserCtx.strokeStyle = isLocked ? 'rgba(0,255,204,0.5)' : 'rgba(255,170,0,0.5)';
+    laserCtx.lineWidth = 1;
+    laserCtx.setLineDash([6, 6]);
+    laserCtx.beginPath();
+    laserCtx.arc(ex, ey, radius, 0, Math.PI * 2);
+    laserCtx.stroke();
+    laserCtx.setLineDash([]);
+}
+
 function drawLaser() {
     laserCtx.clearRect(0, 0, laserCanvas.width, laserCanvas.height);
     const isDualMode = gameState.selectedWeapon === 'dual';
+    const weapon = getWeaponConfig();
 
     // Первый лазер (левая/главная рука)
     if (gameState.handVisible && gameState.isPistolGesture) {
@@ -1141,6 +1687,10 @@ function drawLaser() {
     const ex = gameState.aimPosition.x, ey = gameState.aimPosition.y;
         const color = isDualMode ? 'rgba(255,68,68,' : 'rgba(255,255,255,';
 
+        if (weapon.pellets) {
+            drawSpreadCone(sx, sy, ex, ey, weapon.spread, Boolean(gameState.lockedTarget));
+        }
+
         laserCtx.strokeStyle = gameState.lockedTarget ? 'rgba(0,255,204,0.2)' : color + '0.1)';
     laserCtx.lineWidth = 10;
     laserCtx.lineCap = 'round';
@@ -1179,6 +1729,79 @@ function drawLaser() {
     }
 }
 
+// Обратный отсчёт для режима на время
+function updateGameTimer(now) {
+    const mode = getModeConfig();
+    if (!mode.duration || !gameState.isPlaying) return;
+    
+    const remainingMs = Math.max(0, mode.duration - (now - gameState.startTime));
+    const seconds = Math.ceil(remainingMs / 1000);
+    timerValue.textContent = seconds;
+    gameTimer.classList.toggle('warning', seconds <= 10);
+    
+    if (remainingMs === 0) {
+        endGame();
+    }
+}
+
+// Нарастание сложности в режиме выживания
+function updateSurvivalWave(now) {
+    const mode = getModeConfig();
+    if (!mode.waveDuration || !gameState.isPlaying) return;
+    
+    const wave = 1 + Math.floor((now - gameState.startTime) / mode.waveDuration);
+    if (wave === gameState.wave) return;
+    
+    gameState.wave = wave;
+    waveDisplay.textContent = wave;
+    syncDiscCount();
+    showVFX(`ВОЛНА ${wave}`, window.innerWidth / 2, window.innerHeight / 3, true);
+}
+
+// Прицел снайперки: рука с жестом пистолета неподвижна steadyTime — камера приближается вокруг прицела
+function updateScope(now) {
+    const scope = getWeaponConfig().scope;
+    const state = gameState.scope;
+    
+    if (!scope || !gameState.handVisible || !gameState.isPistolGesture) {
+        state.steadiness = 0;
+        state.isZoomed = false;
+    } else if (jerkDetector.getCurrentSpeed() < scope.steadySpeed) {
+        state.steadiness = Math.min(1, state.steadiness + (now - state.lastUpdate) / scope.steadyTime);
+        state.lastSteadyTime = now;
+        if (state.steadiness === 1) state.isZoomed = true;
+    } else {
+        state.steadiness = 0;
+        if (now - state.lastSteadyTime > scope.releaseTime) state.isZoomed = false;
+    }
+    state.lastUpdate = now;
+    
+    // Плавный наезд и отъезд камеры
+    const targetZoom = state.isZoomed ? scope.zoom : 1;
+    state.zoom += (targetZoom - state.zoom) * 0.2;
+    if (Math.abs(state.zoom - 1) < 0.01) {
+        state.zoom = 1;
+        if (camera.view?.enabled) camera.clearViewOffset();
+        return;
+    }
+    
+    // Приближение вокруг прицела: точка под прицелом остаётся на месте экрана
+    const w = window.innerWidth, h = window.innerHeight;
+    state.anchor = { x: gameState.smoothedAimPosition.x, y: gameState.smoothedAimPosition.y };
+    camera.setViewOffset(
+        w, h,
+        state.anchor.x - state.anchor.x / state.zoom, state.anchor.y - state.anchor.y / state.zoom,
+        w / state.zoom, h / state.zoom
+    );
+}
+
+// Точка экрана без приближения прицела
+function unzoomPoint(x, y) {
+    const { zoom, anchor } = gameState.scope;
+    if (zoom === 1) return { x, y };
+    return { x: anchor.x + (x - anchor.x) / zoom, y: anchor.y + (y - anchor.y) / zoom };
+}
+
 function gameLoop() {
     if (!gameScreen.classList.contains('active')) return;
     requestAnimationFrame(gameLoop);
@@ -1200,6 +1823,11 @@ function gameLoop() {
     }
 
     const now = Date.now();
+    updateGameTimer(now);
+    updateSurvivalWave(now);
+    updateScope(now);
+    updateReload(now);
+    
     const handRecent = now - gameState.lastHandTime < 400;
     const handRecent2 = isDualMode && (now - gameState.lastHandTime2 < 400);
 
@@ -1232,8 +1860,17 @@ function gameLoop() {
         if (gameState.isPistolGesture && settings.showIndicators) {
             shootHint.classList.add('visible');
             speedMeter.classList.add('visible');
-            const speed = jerkDetector.getCurrentSpeed();
-            speedBar.style.width = Math.min(speed / (CONFIG.JERK_SPEED_THRESHOLD * 1.25) * 100, 100) + '%';
+            
+            // У снайперки вместо скорости рывка — неподвижность руки до приближения прицела
+            const scope = getWeaponConfig().scope;
+            speedMeter.classList.toggle('steadiness', Boolean(scope));
+            speedMeter.classList.toggle('ready', Boolean(scope) && gameState.scope.isZoomed);
+            if (scope) {
+                speedBar.style.width = gameState.scope.steadiness * 100 + '%';
+            } else {
+                const speed = jerkDetector.getCurrentSpeed();
+                speedBar.style.width = Math.min(speed / (CONFIG.JERK_SPEED_THRESHOLD * 1.25) * 100, 100) + '%';
+            }
         } else {
             shootHint.classList.remove('visible');
             speedMeter.classList.remove('visible');
@@ -1270,7 +1907,8 @@ function gameLoop() {
     drawLaser();
     renderer.render(scene, camera);
 
-    if (now - gameState.lastHitTime > 3000) {
+    // В режиме точности серия не сгорает по времени
+    if (!getModeConfig().strikes && now - gameState.lastHitTime > 3000) {
         gameState.combo = 1;
         comboDisplay.textContent = 'x1';
     }
@@ -1290,6 +1928,17 @@ async function processFrame() {
 // ============================================
 // INIT GAME
 // ============================================
+
+// Игровая сессия на сервере: токен подтверждает время начала игры
+async function startGameSession() {
+    // Пока сессия не начата, выстрелы не засчитываются и не попадают в журнал
+    gameState.isPlaying = false;
+    gameState.gameToken = null;
+    const result = await ApiService.startGame(gameState.gameMode, gameState.selectedWeapon);
+    gameState.gameToken = result?.data?.gameToken || null;
+    gameState.isPlaying = true;
+}
+
 async function initGame() {
     console.log('🎮 initGame вызван, gameInitialized =', gameInitialized);
     
@@ -1303,6 +1952,8 @@ async function initGame() {
     if (gameInitialized && hands && webcam.srcObject) {
         console.log('♻️ Быстрый перезапуск');
         loadingOverlay.classList.add('hidden');
+        await startGameSession();
+        gameState.startTime = Date.now();
         gameLoop();
         processFrame();
         return;
@@ -1393,6 +2044,8 @@ async function initGame() {
                     if (gameState.isPistolGesture) {
                         const recoil = jerkDetector.checkJerk();
                         if (recoil.detected) shoot(0); // Индекс руки
+                    } else if (detectFistGesture([h])) {
+                        startReload();
                     }
                 } else {
                     gameState.handVisible = false;
@@ -1420,6 +2073,8 @@ async function initGame() {
                     if (gameState.isPistolGesture2) {
                         const recoil2 = jerkDetector2.checkJerk();
                         if (recoil2.detected) shoot(1); // Вторая рука
+                    } else if (detectFistGesture([h2])) {
+                        startReload();
                     }
                 } else if (isDualMode) {
                     gameState.handVisible2 = false;
@@ -1432,6 +2087,9 @@ async function initGame() {
                 if (gameState.isPistolGesture || (isDualMode && gameState.isPistolGesture2)) {
                     gestureIcon.textContent = isDualMode ? '🔫🔫' : '🔫';
                         gestureText.textContent = 'Целься';
+                } else if (gameState.reloadEndTime > 0) {
+                    gestureIcon.textContent = '✊';
+                    gestureText.textContent = 'Перезарядка';
                 } else if (gameState.handVisible) {
                         gestureIcon.textContent = '👆';
                         gestureText.textContent = 'Пистолет';
@@ -1463,7 +2121,9 @@ async function initGame() {
             throw new Error('Не удалось запустить распознавание. Проверь камеру.');
         }
 
-        for (let i = 0; i < CONFIG.DISC_COUNT; i++) discs.push(new Disc(i));
+        // Диски прошлой сцены больше не нужны
+        discs = [];
+        syncDiscCount();
 
         gameInitialized = true;
         loadingOverlay.classList.add('hidden');
@@ -1471,6 +2131,9 @@ async function initGame() {
         document.addEventListener('click', () => audio.init(), { once: true });
         audio.init();
 
+        // Отсчёт времени начинаем после загрузки камеры и модели
+        await startGameSession();
+        gameState.startTime = Date.now();
         gameLoop();
         processFrame();
 
@@ -1504,8 +2167,18 @@ const leaderboardBody = document.getElementById('leaderboard-body');
 const leaderboardLoading = document.getElementById('leaderboard-loading');
 const leaderboardEmpty = document.getElementById('leaderboard-empty');
 const leaderboardTabs = document.querySelectorAll('.leaderboard-tab');
+const leaderboardModeSelect = document.getElementById('leaderboard-mode');
+const leaderboardWeaponSelect = document.getElementById('leaderboard-weapon');
+const leaderboardPeriodTabs = document.querySelectorAll('.leaderboard-period');
+const leaderboardReset = document.getElementById('leaderboard-reset');
+const leaderboardPeriods = document.getElementById('leaderboard-periods');
+const leaderboardFilters = document.getElementById('leaderboard-filters');
+
+// Рейтинги по суммарной статистике: за всё время, без фильтров и окна «вокруг меня»
+const STATS_LEADERBOARD_TYPES = ['combo', 'playtime'];
 
 let currentLeaderboardType = 'score';
+let currentLeaderboardPeriod = 'all';
 
 async function loadLeaderboard(type = 'score') {
     currentLeaderboardType = type;
@@ -1517,10 +2190,28 @@ async function loadLeaderboard(type = 'score') {
     leaderboardTabs.forEach(tab => {
         tab.classList.toggle('active', tab.dataset.type === type);
     });
+    leaderboardPeriodTabs.forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.period === currentLeaderboardPeriod);
+    });
+    
+    const isStatsType = STATS_LEADERBOARD_TYPES.includes(type);
+    leaderboardPeriods.style.display = isStatsType ? 'none' : '';
+    leaderboardFilters.style.display = isStatsType ? 'none' : '';
+    
+    const filters = {
+        mode: leaderboardModeSelect.value,
+        weapon: leaderboardWeaponSelect.value,
+        period: currentLeaderboardPeriod,
+    };
     
-    const result = await ApiService.getLeaderboard(type, 10);
+    // Топ-10 и окно вокруг текущего игрока загружаем параллельно
+    const [result, around] = await Promise.all([
+        ApiService.getLeaderboard(type, 10, filters),
+        isStatsType ? null : ApiService.getLeaderboardAround(type, filters),
+    ]);
     
     leaderboardLoading.style.display = 'none';
+    renderLeaderboardReset(result?.data?.period);
     
     if (!result || !result.data || result.data.leaders.length === 0) {
         leaderboardEmpty.style.display = 'block';
@@ -1528,35 +2219,92 @@ async function loadLeaderboard(type = 'score') {
     }
     
     const leaders = result.data.leaders;
+    const myScoreId = around?.data?.scoreId || null;
     
-    leaderboardBody.innerHTML = leaders.map((leader, index) => {
-        const rankClass = index === 0 ? 'gold' : index === 1 ? 'silver' : index === 2 ? 'bronze' : '';
-        const avatar = leader.username ? leader.username[0].toUpperCase() : '?';
-        
-        let mainValue;
-        switch (type) {
-            case 'hits':
-                mainValue = leader.targetsHit;
-                break;
-            case 'accuracy':
-                mainValue = leader.accuracy + '%';
-                break;
-            default:
-                mainValue = leader.score;
-        }
-        
-        return `
-            <div class="leaderboard-row">
-                <div class="leaderboard-rank ${rankClass}">${leader.rank}</div>
-                <div class="leaderboard-player">
-                    <div class="leaderboard-avatar">${avatar}</div>
-                    <div class="leaderboard-name">${escapeHtml(leader.username)}</div>
-                </div>
-                <div class="leaderboard-score">${mainValue}</div>
-                <div class="leaderboard-hits">${leader.targetsHit} 🎯</div>
+    let html = leaders.map(leader => renderLeaderboardRow(leader, type, leader.id === myScoreId)).join('');
+    
+    // Игрок вне топа — показываем окно вокруг него под таблицей
+    const topRanks = leaders.length;
+    const windowRows = (around?.data?.leaders || []).filter(leader => leader.rank > topRanks);
+    if (windowRows.length > 0) {
+        html += '<div class="leaderboard-row leaderboard-gap">•••</div>';
+        html += windowRows.map(leader => renderLeaderboardRow(leader, type, leader.isCurrentUser)).join('');
+    }
+    
+    leaderboardBody.innerHTML = html;
+}
+
+// Строка рейтинга
+function renderLeaderboardRow(leader, type, isMe) {
+    const rankClass = leader.rank === 1 ? 'gold' : leader.rank === 2 ? 'silver' : leader.rank === 3 ? 'bronze' : '';
+    const avatar = leader.username ? leader.username[0].toUpperCase() : '?';
+    
+    let mainValue;
+    switch (type) {
+        case 'hits':
+            mainValue = leader.targetsHit;
+            break;
+        case 'accuracy':
+            mainValue = leader.accuracy + '%';
+            break;
+        case 'duration':
+            mainValue = formatDuration(leader.durationMs);
+            break;
+        case 'combo':
+            mainValue = 'x' + leader.maxCombo;
+            break;
+        case 'playtime':
+            mainValue = formatPlaytime(leader.totalPlaytimeMs);
+            break;
+        default:
+            mainValue = leader.score;
+    }
+    
+    return `
+        <div class="leaderboard-row${isMe ? ' me' : ''}">
+            <div class="leaderboard-rank ${rankClass}">${leader.rank}</div>
+            <div class="leaderboard-player">
+                <div class="leaderboard-avatar">${avatar}</div>
+                <div class="leaderboard-name">${escapeHtml(leader.username)}</div>
             </div>
-        `;
-    }).join('');
+            <div class="leaderboard-score">${mainValue}</div>
+            <div class="leaderboard-hits">${leader.targetsHit} 🎯</div>
+        </div>
+    `;
+}
+
+// Длительность игры в формате м:сс
+function formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+// Суммарное время в игре: часы и минуты
+function formatPlaytime(ms) {
+    const totalMinutes = Math.floor(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours} ч ${minutes} мин` : `${minutes} мин`;
+}
+
+// Время сброса периода — в часовом поясе игрока
+function renderLeaderboardReset(period) {
+    if (!period || !period.resetsAt) {
+        leaderboardReset.style.display = 'none';
+        return;
+    }
+    
+    const resetsAt = new Date(period.resetsAt);
+    const resetStr = resetsAt.toLocaleString('ru-RU', {
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+    leaderboardReset.textContent = `Сброс: ${resetStr}`;
+    leaderboardReset.style.display = 'block';
 }
 
 // Escape HTML to prevent XSS
@@ -1573,6 +2321,21 @@ leaderboardTabs.forEach(tab => {
     });
 });
 
+// Периоды рейтинга
+leaderboardPeriodTabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+        currentLeaderboardPeriod = tab.dataset.period;
+        loadLeaderboard(currentLeaderboardType);
+    });
+});
+
+// Фильтры по режиму и оружию
+[leaderboardModeSelect, leaderboardWeaponSelect].forEach(select => {
+    select.addEventListener('change', () => {
+        loadLeaderboard(currentLeaderboardType);
+    });
+});
+
 // ============================================
 // GAME END
 // ============================================
@@ -1583,6 +2346,12 @@ const endAccuracy = document.getElementById('end-accuracy');
 const endCombo = document.getElementById('end-combo');
 const endRankSection = document.getElementById('end-rank-section');
 const endRank = document.getElementById('end-rank');
+const endGameRank = document.getElementById('end-game-rank');
+const endRecord = document.getElementById('end-record');
+const endReview = document.getElementById('end-review');
+const endGuest = document.getElementById('end-guest');
+const endAchievements = document.getElementById('end-achievements');
+const endLevel = document.getElementById('end-level');
 const endSubtitle = document.getElementById('end-subtitle');
 const usernameInput = document.getElementById('username-input');
 const btnPlayAgain = document.getElementById('btn-play-again');
@@ -1592,9 +2361,8 @@ async function endGame() {
     if (!gameState.isPlaying) return;
     gameState.isPlaying = false;
     
-    const durationMs = Date.now() - gameState.startTime;
     const accuracy = gameState.shotsFired > 0 
-        ? Math.round((gameState.targetsHit / gameState.shotsFired) * 100) 
+        ? Math.round((gameState.shotsHit / gameState.shotsFired) * 100) 
         : 0;
     
     // Update UI
@@ -1614,10 +2382,21 @@ async function endGame() {
         endSubtitle.textContent = 'Попробуй ещё раз! 🎮';
     }
     
+    if (getModeConfig().lives) {
+        endSubtitle.textContent = `Ты продержался до волны ${gameState.wave} 🌊`;
+    } else if (getModeConfig().strikes && gameState.strikes >= getModeConfig().strikes) {
+        endSubtitle.textContent = 'Три промаха — серия окончена 🎯';
+    }
+    
     // Set username from storage
     usernameInput.value = SessionManager.getUsername();
     
     // Show overlay
+    endRecord.style.display = 'none';
+    endReview.style.display = 'none';
+    endGuest.style.display = 'none';
+    endAchievements.style.display = 'none';
+    endLevel.style.display = 'none';
     gameEndOverlay.classList.add('active');
     
     // Submit score to server
@@ -1626,15 +2405,72 @@ async function endGame() {
         targetsHit: gameState.targetsHit,
         shotsFired: gameState.shotsFired,
         maxCombo: gameState.maxCombo,
-        durationMs: Math.max(1000, durationMs),
         gameMode: gameState.gameMode,
+        weapon: gameState.selectedWeapon,
+        livesLost: gameState.livesLost,
+        wave: gameState.wave,
+        gameToken: gameState.gameToken,
+        events: gameState.eventLog,
     };
+    gameState.gameToken = null;
     
     const result = await ApiService.submitScore(gameResult);
     
     if (result && result.data) {
-        endRankSection.style.display = 'block';
-        endRank.textContent = '#' + result.data.rank;
+        const { ranked, bestRank, gameRank, isPersonalBest, status } = result.data;
+        const isPending = status === 'pending';
+        
+        // Гость играет без рейтинга — места нет
+        endGuest.style.display = ranked ? 'none' : 'block';
+        endRankSection.style.display = ranked ? 'block' : 'none';
+        endRank.textContent = '#' + bestRank;
+        
+        // Результат скрыт до проверки — место этой игры пока не показываем
+        endReview.style.display = isPending ? 'block' : 'none';
+        
+        // Место этой игры показываем, если она хуже личного рекорда
+        if (!isPending && gameRank !== bestRank) {
+            endGameRank.textContent = `Эта игра — #${gameRank}`;
+            endGameRank.style.display = 'block';
+        } else {
+            endGameRank.style.display = 'none';
+        }
+        
+        if (isPersonalBest) {
+            endRecord.style.display = 'block';
+            if (typeof TelegramService !== 'undefined') {
+                TelegramService.hapticFeedback('success');
+            }
+        }
+        
+        // Опыт за игру, новый уровень и открытое оружие
+        const { progression } = result.data;
+        if (progression) {
+            const parts = [`+${progression.xpGained} XP`];
+            if (progression.leveledUp) parts.push(`⬆️ Уровень ${progression.level}!`);
+            progression.unlockedWeapons.forEach(weapon => parts.push(`🔓 ${WEAPONS[weapon].name}`));
+            endLevel.textContent = parts.join(' • ');
+            endLevel.style.display = 'block';
+            renderWeaponUnlocks(progression);
+        }
+        
+        // Новые достижения за эту игру
+        const achievements = result.data.achievements || [];
+        if (achievements.length > 0) {
+            endAchievements.innerHTML = achievements.map((achievement, index) => `
+                <div class="game-end-achievement" style="animation-delay: ${index * 0.15}s">
+                    <div class="game-end-achievement-icon">${achievement.icon}</div>
+                    <div>
+                        <div class="game-end-achievement-title">🏅 ${escapeHtml(achievement.title)}</div>
+                        <div class="game-end-achievement-desc">${escapeHtml(achievement.description)}</div>
+                    </div>
+                </div>
+            `).join('');
+            endAchievements.style.display = 'flex';
+            if (typeof TelegramService !== 'undefined') {
+                TelegramService.hapticFeedback('success');
+            }
+        }
     } else {
         endRankSection.style.display = 'none';
     }
@@ -1651,6 +2487,10 @@ btnPlayAgain.addEventListener('click', async () => {
     
     gameEndOverlay.classList.remove('active');
     resetGameState();
+    
+    // Новый раунд — новая игровая сессия: токен прошлой игры погашен в endGame()
+    await startGameSession();
+    gameState.startTime = Date.now();
 });
 
 // Back to menu button
@@ -1701,6 +2541,13 @@ document.addEventListener('DOMContentLoaded', () => {
     SessionManager.init();
     DebugLogger.info(`User: ${SessionManager.getDisplayName()}`);
     
+    // Вход через Telegram заранее, чтобы токен сессии был готов к началу игры
+    if (SessionManager.useTelegram()) {
+        ApiService.login().then(result => {
+            if (result?.success) offerGuestMerge();
+        });
+    }
+    
     // 2. Загружаем рейтинг
     loadLeaderboard('score');
     
@@ -1728,6 +2575,42 @@ document.addEventListener('DOMContentLoaded', () => {
     loadProfileData();
 });
 
+// ============================================
+// ПЕРЕНОС ГОСТЕВОЙ ИСТОРИИ
+// ============================================
+/**
+ * Первый вход из Telegram на устройстве, где уже играли гостем:
+ * предлагаем перенести гостевые игры в аккаунт (спрашиваем один раз)
+ */
+async function offerGuestMerge() {
+    const sessionId = SessionManager.getStoredSessionId();
+    if (!sessionId || localStorage.getItem(SessionManager.MERGE_DECLINED_KEY) === sessionId) return;
+    
+    const guestProfile = await ApiService.request(`/scores/user/${sessionId}`);
+    const guestGames = guestProfile?.data?.stats?.totalGames || 0;
+    
+    // Гостя без игр на сервере нет — переносить нечего
+    if (!guestProfile?.success || guestGames === 0) return;
+    
+    const confirmed = await TelegramService.showConfirm(
+        `На этом устройстве есть ${guestGames} игр без входа через Telegram. Перенести их в ваш аккаунт?`
+    );
+    
+    if (!confirmed) {
+        localStorage.setItem(SessionManager.MERGE_DECLINED_KEY, sessionId);
+        return;
+    }
+    
+    const result = await ApiService.mergeGuest(sessionId);
+    
+    if (result?.success) {
+        DebugLogger.success(`Merged ${result.data.mergedGames} guest games`);
+        SessionManager.clearSessionId();
+        TelegramService.hapticFeedback('success');
+        loadProfileData();
+    }
+}
+
 // ============================================
 // BOTTOM NAVIGATION
 // ============================================
@@ -1773,16 +2656,22 @@ function initBottomNav() {
     
     // Инициализация выбора оружия
     initWeaponSelection();
+    
+    // Инициализация выбора режима игры
+    initModeSelection();
 }
 
 // ============================================
 // WEAPON SELECTION
 // ============================================
 function initWeaponSelection() {
-    const weaponCards = document.querySelectorAll('.weapon-card:not(.locked)');
+    const weaponCards = document.querySelectorAll('.weapon-card');
     
     weaponCards.forEach(card => {
         card.addEventListener('click', () => {
+            // Закрытое оружие открывается с уровнем игрока
+            if (card.classList.contains('locked')) return;
+            
             // Убираем selected у всех
             document.querySelectorAll('.weapon-card').forEach(c => c.classList.remove('selected'));
             
@@ -1798,15 +2687,81 @@ function initWeaponSelection() {
         });
     });
     
-    // Восстанавливаем сохранённый выбор
-    const savedWeapon = localStorage.getItem('ar_shooter_weapon') || 'pistol';
-    gameState.selectedWeapon = savedWeapon;
+    // До ответа сервера открыто только оружие первого уровня
+    renderWeaponUnlocks(null);
+}
+
+/**
+ * Открытое оружие и прогресс до открытия на экране арсенала
+ * @param {object|null} progression - прогресс из профиля или ответа на результат (null — новый игрок)
+ */
+function renderWeaponUnlocks(progression) {
+    const level = progression?.level || 1;
+    const xp = progression?.xp || 0;
+    
+    const levelEl = document.getElementById('weapons-level');
+    if (progression) {
+        const next = progression.nextLevelXp ? ` • ${xp}/${progression.nextLevelXp} XP` : '';
+        levelEl.textContent = `Уровень ${level}${next}`;
+    } else {
+        levelEl.textContent = 'Уровень 1';
+    }
+    
+    document.querySelectorAll('.weapon-card').forEach(card => {
+        const weapon = card.dataset.weapon;
+        const { unlockLevel } = WEAPONS[weapon];
+        const isLocked = level < unlockLevel;
+        card.classList.toggle('locked', isLocked);
+        
+        const unlockEl = card.querySelector('.weapon-unlock');
+        if (!unlockEl) return;
+        
+        unlockEl.style.display = isLocked ? 'block' : 'none';
+        if (!isLocked) return;
+        
+        // Прогресс опыта до уровня открытия
+        const unlockXp = progression?.weapons?.find(item => item.weapon === weapon)?.unlockXp;
+        const percent = unlockXp ? Math.min(100, Math.round(xp / unlockXp * 100)) : 0;
+        unlockEl.querySelector('.weapon-unlock-text').textContent = unlockXp
+            ? `🔒 Откроется на уровне ${unlockLevel} • ${xp}/${unlockXp} XP`
+            : `🔒 Откроется на уровне ${unlockLevel}`;
+        unlockEl.querySelector('.stat-bar-fill').style.width = `${percent}%`;
+    });
     
+    // Сохранённое оружие могло остаться закрытым — берём пистолет
+    const savedWeapon = localStorage.getItem('ar_shooter_weapon') || 'pistol';
     const savedCard = document.querySelector(`.weapon-card[data-weapon="${savedWeapon}"]`);
-    if (savedCard && !savedCard.classList.contains('locked')) {
-        document.querySelectorAll('.weapon-card').forEach(c => c.classList.remove('selected'));
-        savedCard.classList.add('selected');
-    }
+    const weapon = savedCard && !savedCard.classList.contains('locked') ? savedWeapon : 'pistol';
+    gameState.selectedWeapon = weapon;
+    
+    document.querySelectorAll('.weapon-card').forEach(c => {
+        c.classList.toggle('selected', c.dataset.weapon === weapon);
+    });
+}
+
+// ============================================
+// GAME MODE SELECTION
+// ============================================
+function initModeSelection() {
+    const modeTabs = document.querySelectorAll('.mode-tab');
+    
+    const selectMode = (mode) => {
+        if (!GAME_MODES[mode]) mode = 'endless';
+        gameState.gameMode = mode;
+        modeTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.mode === mode));
+        return mode;
+    };
+    
+    modeTabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            const mode = selectMode(tab.dataset.mode);
+            localStorage.setItem('ar_shooter_mode', mode);
+            console.log('🎮 Выбран режим:', mode);
+        });
+    });
+    
+    // Восстанавливаем сохранённый выбор
+    selectMode(localStorage.getItem('ar_shooter_mode') || 'endless');
 }
 
 // ============================================
@@ -1821,6 +2776,8 @@ async function loadProfileData() {
     const rankEl = document.getElementById('profile-rank');
     const historyEl = document.getElementById('profile-history');
     const emptyEl = document.getElementById('profile-empty');
+    const achievementsEl = document.getElementById('profile-achievements');
+    const achievementsCountEl = document.getElementById('profile-achievements-count');
     
     // Показываем имя
     const displayName = SessionManager.getDisplayName();
@@ -1839,13 +2796,14 @@ async function loadProfileData() {
     
     // Загружаем статистику с сервера
     try {
-        const telegramId = SessionManager.getTelegramId();
+        // Профиль игрока из Telegram — по токену сессии,
+        // мок-пользователь в dev режиме играет как гость — и профиль у него гостевой
         const sessionId = SessionManager.getSessionId();
         
         let response;
-        if (telegramId) {
-            console.log('📊 Загружаем профиль для telegramId:', telegramId);
-            response = await ApiService.request(`/scores/user/telegram/${telegramId}`);
+        if (SessionManager.useTelegram()) {
+            console.log('📊 Загружаем профиль по токену сессии');
+            response = await ApiService.request('/scores/user/me');
         } else {
             console.log('📊 Загружаем профиль для sessionId:', sessionId);
             response = await ApiService.request(`/scores/user/${sessionId}`);
@@ -1861,6 +2819,18 @@ async function loadProfileData() {
             totalScoreEl.textContent = (stats.bestScore || 0).toLocaleString();
             gamesEl.textContent = stats.totalGames || 0;
             rankEl.textContent = data.rank ? '#' + data.rank : '—';
+            renderWeaponUnlocks(data.progression);
+            
+            // Достижения: открытые и ещё закрытые
+            const achievements = data.achievements || [];
+            const unlockedCount = achievements.filter(achievement => achievement.unlocked).length;
+            achievementsCountEl.textContent = `${unlockedCount}/${achievements.length}`;
+            achievementsEl.innerHTML = achievements.map(achievement => `
+                <div class="achievement-item${achievement.unlocked ? '' : ' locked'}" title="${escapeHtml(achievement.description)}">
+                    <div class="achievement-icon">${achievement.icon}</div>
+                    <div class="achievement-title">${escapeHtml(achievement.title)}</div>
+                </div>
+            `).join('');
             
             // История игр (последние 5)
             if (games.length > 0) {
@@ -215,6 +215,26 @@ const TelegramService = {
         }
     },
     
+    /**
+     * Диалог подтверждения (нативный в Telegram, confirm() в браузере)
+     * @returns {Promise<boolean>}
+     */
+    showConfirm(message) {
+        const tg = window.Telegram?.WebApp;
+        if (!tg?.showConfirm) {
+            return Promise.resolve(window.confirm(message));
+        }
+        
+        return new Promise(resolve => {
+            try {
+                tg.showConfirm(message, confirmed => resolve(Boolean(confirmed)));
+            } catch (e) {
+                // Старые клиенты Telegram не поддерживают диалоги
+                resolve(window.confirm(message));
+            }
+        });
+    },
+    
     /**
      * Закрыть Web App
      */
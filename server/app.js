@@ -0,0 +1,152 @@
+/**
+ * Сборка Express-приложения: middleware, маршруты, обработка ошибок
+ * Без подключения к БД и запуска серверов — их выполняет index.js,
+ * поэтому приложение можно импортировать в тестах
+ */
+
+const express = require('express');
+const path = require('path');
+const {
+    httpsRedirect,
+    setupHelmet,
+    createApiLimiter,
+    setupCors,
+    requestLogger,
+    errorHandler,
+    notFoundHandler,
+} = require('./middleware/security');
+const { authenticate } = require('./middleware/userAuth');
+const scoresRouter = require('./routes/scores');
+const authRouter = require('./routes/auth');
+const gamesRouter = require('./routes/games');
+const adminRouter = require('./routes/admin');
+
+/**
+ * Создать приложение
+ * @returns {express.Application}
+ */
+function createApp() {
+    const app = express();
+    
+    // Trust proxy для корректного определения IP за nginx/cloudflare
+    app.set('trust proxy', 1);
+    
+    // ============================================
+    // MIDDLEWARE (порядок важен!)
+    // ============================================
+    
+    // 0. HTTPS redirect (в production)
+    app.use(httpsRedirect);
+    
+    // 1. Логирование запросов
+    app.use(requestLogger);
+    
+    // 2. Защита HTTP заголовков
+    app.use(setupHelmet());
+    
+    // 3. CORS
+    app.use(setupCors());
+    
+    // 4. Rate limiting
+    app.use('/api', createApiLimiter());
+    
+    // 5. Парсинг JSON с лимитом размера
+    // Результат игры несёт журнал выстрелов — для него лимит больше
+    app.post('/api/scores', express.json({
+        limit: '512kb',
+        strict: true,
+    }));
+    app.use(express.json({ 
+        limit: '10kb',  // Защита от больших payload
+        strict: true,   // Только JSON объекты/массивы
+    }));
+    
+    // 6. Парсинг URL-encoded
+    app.use(express.urlencoded({ 
+        extended: false, 
+        limit: '10kb',
+    }));
+    
+    // 7. Игрок из bearer-токена (req.user)
+    app.use('/api', authenticate);
+    
+    // ============================================
+    // СТАТИЧЕСКИЕ ФАЙЛЫ (Frontend)
+    // ============================================
+    const frontendPath = path.join(__dirname, '..', 'frontend');
+    app.use(express.static(frontendPath, {
+        extensions: ['html'],
+        index: 'index.html',
+    }));
+    
+    // ============================================
+    // МАРШРУТЫ
+    // ============================================
+    
+    // Health check
+    app.get('/health', (req, res) => {
+        res.json({ 
+            status: 'ok', 
+            timestamp: new Date().toISOString(),
+            version: '1.0.0',
+        });
+    });
+    
+    // POST test endpoint
+    app.post('/api/test', (req, res) => {
+        console.log('📨 POST /api/test received:', req.body);
+        res.json({ 
+            success: true, 
+            message: 'POST works!',
+            received: req.body,
+        });
+    });
+    
+    // API маршруты
+    app.use('/api/auth', authRouter);
+    app.use('/api/games', gamesRouter);
+    app.use('/api/scores', scoresRouter);
+    app.use('/api/admin', adminRouter);
+    
+    // API информация
+    app.get('/api', (req, res) => {
+        res.json({
+            name: 'AR Gesture Shooter API',
+            version: '1.0.0',
+            endpoints: {
+                'POST /api/games/start': 'Начать игру (токен игровой сессии)',
+                'POST /api/scores': 'Сохранить результат игры',
+                'GET /api/scores/leaderboard': 'Таблица лидеров',
+                'GET /api/scores/leaderboard/around': 'Окно рейтинга вокруг игрока',
+                'GET /api/scores/user/:sessionId': 'Статистика пользователя',
+                'PUT /api/scores/user/:sessionId': 'Обновить имя пользователя',
+                '/api/admin/*': 'Модерация (X-Admin-Key или Telegram ID администратора)',
+            },
+        });
+    });
+    
+    // ============================================
+    // ОБРАБОТКА ОШИБОК
+    // ============================================
+    
+    // Для всех остальных маршрутов отдаём index.html (SPA fallback)
+    app.get('*', (req, res, next) => {
+        // Если это API запрос - пропускаем к 404
+        if (req.path.startsWith('/api/')) {
+            return next();
+        }
+        res.sendFile(path.join(frontendPath, 'index.html'));
+    });
+    
+    // 404 для неизвестных API маршрутов
+    app.use(notFoundHandler);
+    
+    // Глобальный обработчик ошибок
+    app.use(errorHandler);
+    
+    return app;
+}
+
+module.exports = {
+    createApp,
+};
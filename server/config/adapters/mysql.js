@@ -0,0 +1,107 @@
+/**
+ * Адаптер MySQL (mysql2, пул соединений)
+ * Используется по умолчанию и в production
+ */
+
+const mysql = require('mysql2/promise');
+
+const dialect = 'mysql';
+
+// Конфигурация из переменных окружения
+// Поддержка Railway (MYSQL*) и стандартных (DB_*) переменных
+const dbConfig = {
+    host: process.env.MYSQLHOST || process.env.DB_HOST || 'localhost',
+    port: parseInt(process.env.MYSQLPORT || process.env.DB_PORT, 10) || 3306,
+    user: process.env.MYSQLUSER || process.env.DB_USER || 'root',
+    password: process.env.MYSQLPASSWORD || process.env.DB_PASSWORD || '',
+    database: process.env.MYSQLDATABASE || process.env.DB_NAME || 'ar_shooter',
+    
+    // Настройки пула соединений
+    waitForConnections: true,
+    connectionLimit: 10,          // Максимум 10 соединений
+    maxIdle: 10,                  // Максимум простаивающих
+    idleTimeout: 60000,           // 60 сек таймаут простоя
+    queueLimit: 0,                // Без ограничения очереди
+    enableKeepAlive: true,
+    keepAliveInitialDelay: 0,
+    
+    // Безопасность
+    multipleStatements: false,    // Запрет множественных запросов (защита от SQL-инъекций)
+    charset: 'utf8mb4',
+};
+
+// Создаём пул соединений
+let pool = null;
+
+/**
+ * Получить пул соединений (ленивая инициализация)
+ */
+function getPool() {
+    if (!pool) {
+        pool = mysql.createPool(dbConfig);
+        console.log('📦 MySQL пул создан');
+    }
+    return pool;
+}
+
+/**
+ * Выполнить запрос с prepared statement (защита от SQL-инъекций)
+ * @param {string} sql - SQL запрос с плейсхолдерами ?
+ * @param {Array} params - Параметры для плейсхолдеров
+ * @returns {Promise<Array>} Результат запроса
+ */
+async function query(sql, params = []) {
+    const pool = getPool();
+    try {
+        const [rows] = await pool.execute(sql, params);
+        return rows;
+    } catch (error) {
+        console.error('❌ Ошибка БД:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Получить одно соединение для транзакции
+ * @returns {Promise<Connection>}
+ */
+async function getConnection() {
+    const pool = getPool();
+    return pool.getConnection();
+}
+
+/**
+ * Проверка подключения к БД
+ */
+async function testConnection() {
+    try {
+        const pool = getPool();
+        const connection = await pool.getConnection();
+        await connection.ping();
+        connection.release();
+        console.log('✅ MySQL подключение успешно');
+        return true;
+    } catch (error) {
+        console.error('❌ Ошибка подключения к MySQL:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Закрыть пул (для graceful shutdown)
+ */
+async function close() {
+    if (pool) {
+        await pool.end();
+        pool = null;
+        console.log('🔒 MySQL пул закрыт');
+    }
+}
+
+module.exports = {
+    dialect,
+    query,
+    getConnection,
+    testConnection,
+    close,
+};
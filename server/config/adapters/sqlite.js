@@ -0,0 +1,216 @@
+/**
+ * Адаптер SQLite (sql.js — SQLite, скомпилированный в WebAssembly)
+ * Для локального запуска и тестов без MySQL сервера.
+ * База живёт в памяти; если задан SQLITE_FILE, она загружается из файла
+ * при старте и сохраняется в него при остановке сервера
+ *
+ * Ответы приводятся к виду mysql2: SELECT возвращает массив строк,
+ * остальные запросы — { insertId, affectedRows }
+ */
+
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+
+const dialect = 'sqlite';
+
+// Колонки и алиасы с датами: created_at, playedAt, reviewedAt...
+const DATE_KEY = /(_at|At)$/;
+const DATE_VALUE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/;
+
+let database = null;
+let opening = null;
+
+/**
+ * Открыть базу (ленивая инициализация)
+ */
+function getDatabase() {
+    if (!opening) {
+        opening = initSqlJs().then((SQL) => {
+            const file = process.env.SQLITE_FILE;
+            database = file && fs.existsSync(file)
+                ? new SQL.Database(fs.readFileSync(file))
+                : new SQL.Database();
+            
+            // Каскадное удаление (ON DELETE CASCADE) в SQLite выключено по умолчанию
+            database.run('PRAGMA foreign_keys = ON');
+            console.log(`📦 SQLite база открыта: ${file || 'in-memory'}`);
+            return database;
+        });
+    }
+    return opening;
+}
+
+/**
+ * Параметры в типы, которые понимает SQLite
+ * Даты хранятся строкой в UTC, как CURRENT_TIMESTAMP
+ */
+function toSqlValue(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString().replace('T', ' ').replace('Z', '');
+    return value;
+}
+
+/**
+ * Даты из строк обратно в Date (mysql2 отдаёт TIMESTAMP как Date)
+ */
+function fromSqlRow(row) {
+    for (const key of Object.keys(row)) {
+        if (DATE_KEY.test(key) && typeof row[key] === 'string' && DATE_VALUE.test(row[key])) {
+            row[key] = new Date(`${row[key].replace(' ', 'T')}Z`);
+        }
+    }
+    return row;
+}
+
+/**
+ * Коды ошибок как в MySQL, чтобы обработка не зависела от адаптера
+ */
+function toMysqlError(error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+        error.code = 'ER_DUP_ENTRY';
+    } else if (error.message.includes('duplicate column name')) {
+        error.code = 'ER_DUP_FIELDNAME';
+    }
+    return error;
+}
+
+/**
+ * Выполнить запрос сразу (база уже открыта)
+ */
+function run(db, sql, params = []) {
+    let statement;
+    try {
+        statement = db.prepare(sql);
+        statement.bind(params.map(toSqlValue));
+        
+        if (statement.getColumnNames().length > 0) {
+            const rows = [];
+            while (statement.step()) {
+                rows.push(fromSqlRow(statement.getAsObject()));
+            }
+            return rows;
+        }
+        
+        statement.step();
+        const affectedRows = db.getRowsModified();
+        const [[insertId]] = db.exec('SELECT last_insert_rowid()')[0].values;
+        return { insertId, affectedRows };
+    } catch (error) {
+        console.error('❌ Ошибка БД:', error.message);
+        throw toMysqlError(error);
+    } finally {
+        if (statement) statement.free();
+    }
+}
+
+// База одна на все соединения: пока транзакция не завершена (COMMIT или ROLLBACK),
+// запросы вне неё и другие транзакции ждут, иначе они попали бы внутрь чужой транзакции
+let transaction = null;
+
+/**
+ * Выполнить запрос с prepared statement
+ * @param {string} sql - SQL запрос с плейсхолдерами ?
+ * @param {Array} params - Параметры для плейсхолдеров
+ * @returns {Promise<Array|{insertId: number, affectedRows: number}>}
+ */
+async function query(sql, params = []) {
+    const db = await getDatabase();
+    while (transaction) await transaction.done;
+    return run(db, sql, params);
+}
+
+/**
+ * Соединение для транзакции (с интерфейсом соединения mysql2)
+ * Запросы выполняются синхронно, поэтому пул не нужен:
+ * транзакции идут по одной, остальные запросы ждут их завершения
+ */
+async function getConnection() {
+    const db = await getDatabase();
+    let ownTransaction = null;
+    
+    // Запросы своей транзакции выполняются сразу, остальные — по общей очереди
+    const connectionQuery = (sql, params) => (ownTransaction ? run(db, sql, params) : query(sql, params));
+    
+    // Завершить свою транзакцию и пропустить ждущие запросы
+    const finish = () => {
+        const finished = ownTransaction;
+        ownTransaction = null;
+        transaction = null;
+        finished.resolve();
+    };
+    
+    return {
+        query: async (sql, params) => [await connectionQuery(sql, params)],
+        execute: async (sql, params) => [await connectionQuery(sql, params)],
+        beginTransaction: async () => {
+            while (transaction) await transaction.done;
+            
+            let resolve;
+            const done = new Promise((resolveDone) => { resolve = resolveDone; });
+            ownTransaction = { done, resolve };
+            transaction = ownTransaction;
+            
+            try {
+                run(db, 'BEGIN');
+            } catch (error) {
+                finish();
+                throw error;
+            }
+        },
+        commit: async () => {
+            run(db, 'COMMIT');
+            finish();
+        },
+        rollback: async () => {
+            if (!ownTransaction) return;
+            try {
+                run(db, 'ROLLBACK');
+            } finally {
+                finish();
+            }
+        },
+        ping: async () => {},
+        release: () => {},
+    };
+}
+
+/**
+ * Проверка подключения к БД
+ */
+async function testConnection() {
+    try {
+        await query('SELECT 1');
+        console.log('✅ SQLite подключение успешно');
+        return true;
+    } catch (error) {
+        console.error('❌ Ошибка открытия SQLite:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Закрыть базу, сохранив её в SQLITE_FILE
+ */
+async function close() {
+    if (!database) return;
+    
+    const file = process.env.SQLITE_FILE;
+    if (file) {
+        fs.writeFileSync(file, Buffer.from(database.export()));
+        console.log(`💾 SQLite база сохранена: ${file}`);
+    }
+    
+    database.close();
+    database = null;
+    opening = null;
+    console.log('🔒 SQLite база закрыта');
+}
+
+module.exports = {
+    dialect,
+    query,
+    getConnection,
+    testConnection,
+    close,
+};
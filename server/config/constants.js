@@ -17,6 +17,113 @@ module.exports = {
         MIN_ACCURACY: 0.0,            // 0%
         MAX_COMBO: 100,               // Максимальное комбо
         MAX_SCORE: 10000000,          // Максимум очков за игру (10 млн)
+        MAX_LIVES_LOST: 10,           // Режим выживания: максимум потерянных жизней
+        MAX_WAVE: 500,                // Режим выживания: максимальная волна
+        SESSION_GRACE_MS: 60000,      // Запас на отправку результата после окончания игры
+        MAX_EVENTS: 15000,            // Максимум выстрелов в журнале игры
+    },
+    
+    // Правила подсчёта очков (должны совпадать с WEAPONS и GAME_MODES в frontend/js/game.js)
+    // Используются для проверки журнала выстрелов
+    SCORING: {
+        COMBO_WINDOW_MS: 2000,        // Попадание в этом окне увеличивает комбо
+        COMBO_RESET_MS: 3000,         // Без попаданий дольше — комбо сбрасывается
+        FRAME_TOLERANCE_MS: 250,      // Сброс комбо происходит в игровом цикле, допуск на кадр
+        CLOCK_TOLERANCE_MS: 2000,     // Допуск между часами клиента и длительностью по серверу
+        ACCURACY_MAX_STREAK: 10,      // Режим точности: максимальный множитель серии
+        ACCURACY_PRECISION_BONUS: 0.5,// Режим точности: бонус за попадание в центр
+        PELLET_MIN_FALLOFF: 0.5,      // Дробь: урон по диску на краю разлёта (доля от полного)
+        MULTI_KILL_BONUS: 0.5,        // Дробь: бонус за каждый диск после первого (доля урона)
+    },
+    
+    // Античит: подозрительные результаты сохраняются, но скрыты до проверки
+    ANTICHEAT: {
+        MIN_RATE_DURATION_MS: 10000,  // Короткие игры оцениваются как 10-секундные (без ложных срабатываний)
+    },
+    
+    // Доверие к игроку (0-100): ниже порога результаты идут на проверку
+    TRUST: {
+        DEFAULT: 50,
+        MIN: 0,
+        MAX: 100,
+        AUTO_ACCEPT_MIN: 20,          // Минимальное доверие для автоматического принятия
+        CLEAN_GAME_BONUS: 1,          // За принятую без замечаний игру
+        FLAG_PENALTY: 10,             // За игру, отправленную на проверку
+        REVIEW_APPROVE_BONUS: 5,      // Модератор принял результат с проверки
+        REVIEW_REJECT_PENALTY: 25,    // Модератор отклонил результат
+    },
+    
+    // Коды причин попадания результата на проверку
+    FLAG_REASONS: {
+        SCORE_RATE: 'score_rate',     // Слишком много очков в минуту
+        HIT_RATE: 'hit_rate',         // Слишком много попаданий в минуту
+        LOW_TRUST: 'low_trust',       // Низкое доверие к игроку
+    },
+    
+    // Статусы результата
+    SCORE_STATUS: {
+        APPROVED: 'approved',         // Виден в рейтингах
+        PENDING: 'pending',           // Ждёт проверки, скрыт
+        REJECTED: 'rejected',         // Отклонён при проверке
+        HIDDEN: 'hidden',             // Скрыт администратором
+    },
+    
+    // Статусы блокировки игрока
+    BAN_STATUS: {
+        ACTIVE: 'active',
+        BANNED: 'banned',             // Результаты не принимаются, скрыт из рейтингов
+        SHADOW: 'shadow',             // Результаты принимаются, но скрыт из рейтингов
+    },
+    
+    // unlockLevel — уровень игрока, с которого оружие доступно
+    // pellets — дробинок в выстреле: один выстрел может поразить столько дисков
+    // headshot — множитель очков за попадание в ядро диска
+    // magazine — патронов в магазине (у dual — общий на обе руки), reloadTime — перезарядка магазина (мс)
+    WEAPON_RULES: {
+        pistol:  { cooldown: 400,  maxCombo: 10, damage: 100, hands: 1, unlockLevel: 1, pellets: 1, headshot: 1, magazine: 12, reloadTime: 1200 },
+        dual:    { cooldown: 500,  maxCombo: 6,  damage: 100, hands: 2, unlockLevel: 1, pellets: 1, headshot: 1, magazine: 20, reloadTime: 1800 },
+        shotgun: { cooldown: 800,  maxCombo: 5,  damage: 200, hands: 1, unlockLevel: 3, pellets: 8, headshot: 1, magazine: 6,  reloadTime: 2500 },
+        sniper:  { cooldown: 1200, maxCombo: 15, damage: 300, hands: 1, unlockLevel: 5, pellets: 1, headshot: 2, magazine: 5,  reloadTime: 2500 },
+    },
+    
+    // Опыт и уровни игрока (опыт начисляется за принятые игры)
+    PROGRESSION: {
+        POINTS_PER_XP: 100,           // 1 XP за каждые 100 очков
+        XP_PER_HIT: 2,                // За каждое попадание
+        ACCURACY_BONUS_XP: 20,        // За 100% точность (пропорционально точности)
+        ACCURACY_MIN_SHOTS: 10,       // Бонус за точность — от 10 выстрелов
+        LEVEL_BASE_XP: 250,           // Уровень N требует 250 × N(N-1)/2 XP: 2 — 250, 3 — 750, 5 — 2500
+        MAX_LEVEL: 50,
+    },
+    
+    // Коды ошибок прогрессии (поле code в ответе 403)
+    PROGRESSION_ERRORS: {
+        WEAPON_LOCKED: 'WEAPON_LOCKED',     // Оружие ещё не открыто на уровне игрока
+    },
+    
+    // Проверка initData от Telegram
+    TELEGRAM_AUTH: {
+        MAX_AGE_SEC: 86400,           // initData старше суток не принимается (TELEGRAM_AUTH_MAX_AGE_SEC)
+        CLOCK_SKEW_SEC: 60,           // Допуск на auth_date из будущего (расхождение часов)
+    },
+    
+    // Коды ошибок проверки initData (поле code в ответе 401)
+    TELEGRAM_AUTH_ERRORS: {
+        INVALID: 'INIT_DATA_INVALID',   // Нет подписи, подпись неверна или нет auth_date
+        EXPIRED: 'INIT_DATA_EXPIRED',   // auth_date старше допустимого
+        REPLAYED: 'INIT_DATA_REPLAYED', // initData уже использован для входа
+    },
+    
+    // Сессии игроков: bearer-токен после входа через Telegram
+    AUTH_TOKEN: {
+        TTL_MS: 86400000,             // Токен действует 24 часа, потом — вход заново по initData
+    },
+    
+    // Коды ошибок аутентификации по токену (поле code в ответе 401)
+    AUTH_ERRORS: {
+        REQUIRED: 'AUTH_REQUIRED',          // Запись без токена (или telegramId без токена)
+        INVALID: 'AUTH_TOKEN_INVALID',      // Подпись неверна или игрока больше нет
+        EXPIRED: 'AUTH_TOKEN_EXPIRED',      // Срок действия токена истёк
     },
     
     // Лимиты для пользователей
@@ -30,10 +137,21 @@ module.exports = {
     PAGINATION: {
         DEFAULT_LIMIT: 10,
         MAX_LIMIT: 100,
+        AROUND_DEFAULT_RANGE: 3,      // Игроков выше/ниже в окне «вокруг меня»
+        AROUND_MAX_RANGE: 10,
     },
     
     // Типы рейтингов
-    LEADERBOARD_TYPES: ['score', 'hits', 'accuracy', 'duration'],
+    LEADERBOARD_TYPES: ['score', 'hits', 'accuracy', 'duration', 'combo', 'playtime'],
+    
+    // Периоды рейтингов (сброс по UTC)
+    LEADERBOARD_PERIODS: ['day', 'week', 'month', 'all'],
+    
+    // Режимы игры
+    GAME_MODES: ['endless', 'timed', 'accuracy', 'survival'],
+    
+    // Оружие
+    WEAPONS: ['pistol', 'dual', 'shotgun', 'sniper'],
     
     // HTTP статусы
     HTTP: {
@@ -41,7 +159,9 @@ module.exports = {
         CREATED: 201,
         BAD_REQUEST: 400,
         UNAUTHORIZED: 401,
+        FORBIDDEN: 403,
         NOT_FOUND: 404,
+        CONFLICT: 409,
         TOO_MANY_REQUESTS: 429,
         INTERNAL_ERROR: 500,
     },
@@ -0,0 +1,124 @@
+/**
+ * Версионные миграции схемы БД
+ * Файлы migrations/NNN_name.js экспортируют up(db) и down(db),
+ * применённые версии хранятся в таблице schema_migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./database');
+const { createTable } = require('../migrations/helpers');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+/**
+ * Список миграций из папки migrations, по возрастанию версии
+ * @returns {Array<{version: string, name: string, file: string}>}
+ */
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(MIGRATION_FILE);
+            return match ? { version: match[1], name: match[2], file: path.join(MIGRATIONS_DIR, file) } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+/**
+ * Создать таблицу учёта миграций, если её нет
+ */
+async function ensureMigrationsTable() {
+    await createTable(db, 'schema_migrations', [
+        'version CHAR(3) PRIMARY KEY',
+        'name VARCHAR(64) NOT NULL',
+        'applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+    ]);
+}
+
+/**
+ * Применённые версии
+ * @returns {Promise<Set<string>>}
+ */
+async function getAppliedVersions() {
+    await ensureMigrationsTable();
+    const rows = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+    return new Set(rows.map(row => row.version));
+}
+
+/**
+ * Применить все новые миграции
+ * @returns {Promise<string[]>} применённые версии
+ */
+async function migrate() {
+    const applied = await getAppliedVersions();
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+    
+    for (const migration of pending) {
+        console.log(`📦 Миграция ${migration.version}_${migration.name}...`);
+        try {
+            await require(migration.file).up(db);
+            await db.query(
+                'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                [migration.version, migration.name]
+            );
+        } catch (error) {
+            console.error(`❌ Ошибка миграции ${migration.version}_${migration.name}:`, error.message);
+            throw error;
+        }
+    }
+    
+    console.log(pending.length > 0
+        ? `✅ Схема БД обновлена, применено миграций: ${pending.length}`
+        : '✅ Схема БД актуальна');
+    
+    return pending.map(migration => migration.version);
+}
+
+/**
+ * Откатить последние применённые миграции
+ * @param {number} steps - сколько миграций откатить
+ * @returns {Promise<string[]>} откаченные версии
+ */
+async function rollback(steps = 1) {
+    const applied = await getAppliedVersions();
+    const targets = loadMigrations()
+        .filter(migration => applied.has(migration.version))
+        .reverse()
+        .slice(0, steps);
+    
+    for (const migration of targets) {
+        console.log(`↩️ Откат ${migration.version}_${migration.name}...`);
+        try {
+            await require(migration.file).down(db);
+            await db.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        } catch (error) {
+            console.error(`❌ Ошибка отката ${migration.version}_${migration.name}:`, error.message);
+            throw error;
+        }
+    }
+    
+    console.log(`✅ Откачено миграций: ${targets.length}`);
+    
+    return targets.map(migration => migration.version);
+}
+
+/**
+ * Состояние миграций
+ * @returns {Promise<Array<{version: string, name: string, applied: boolean}>>}
+ */
+async function status() {
+    const applied = await getAppliedVersions();
+    return loadMigrations().map(({ version, name }) => ({
+        version,
+        name,
+        applied: applied.has(version),
+    }));
+}
+
+module.exports = {
+    migrate,
+    rollback,
+    status,
+};
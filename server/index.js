@@ -10,23 +10,12 @@
 // Загружаем переменные окружения первым делом
 require('dotenv').config();
 
-const express = require('express');
-const path = require('path');
 const fs = require('fs');
 const https = require('https');
 const http = require('http');
 const db = require('./config/database');
-const {
-    httpsRedirect,
-    setupHelmet,
-    createApiLimiter,
-    setupCors,
-    requestLogger,
-    errorHandler,
-    notFoundHandler,
-} = require('./middleware/security');
-const scoresRouter = require('./routes/scores');
-const authRouter = require('./routes/auth');
+const { migrate } = require('./config/migrator');
+const { createApp } = require('./app');
 
 // ============================================
 // КОНФИГУРАЦИЯ
@@ -49,6 +38,16 @@ function validateProductionConfig() {
             errors.push('BOT_TOKEN не установлен! Telegram верификация не будет работать.');
         }
         
+        // Секрет токенов игры: без него токены сбрасываются при перезапуске
+        if (!process.env.GAME_TOKEN_SECRET) {
+            console.warn('⚠️ GAME_TOKEN_SECRET не установлен! Токены игр будут недействительны после перезапуска.');
+        }
+        
+        // Секрет токенов сессий: без него игроки входят заново после перезапуска
+        if (!process.env.AUTH_TOKEN_SECRET) {
+            console.warn('⚠️ AUTH_TOKEN_SECRET не установлен! Токены сессий будут недействительны после перезапуска.');
+        }
+        
         // ALLOWED_ORIGINS должен быть настроен
         if (!process.env.ALLOWED_ORIGINS || process.env.ALLOWED_ORIGINS === 'http://localhost:3000') {
             console.warn('⚠️ ALLOWED_ORIGINS не настроен для production!');
@@ -70,116 +69,11 @@ function validateProductionConfig() {
     }
 }
 
-validateProductionConfig();
-
 // ============================================
 // ИНИЦИАЛИЗАЦИЯ EXPRESS
 // ============================================
 
-const app = express();
-
-// Trust proxy для корректного определения IP за nginx/cloudflare
-app.set('trust proxy', 1);
-
-// ============================================
-// MIDDLEWARE (порядок важен!)
-// ============================================
-
-// 0. HTTPS redirect (в production)
-app.use(httpsRedirect);
-
-// 1. Логирование запросов
-app.use(requestLogger);
-
-// 2. Защита HTTP заголовков
-app.use(setupHelmet());
-
-// 3. CORS
-app.use(setupCors());
-
-// 4. Rate limiting
-app.use('/api', createApiLimiter());
-
-// 5. Парсинг JSON с лимитом размера
-app.use(express.json({ 
-    limit: '10kb',  // Защита от больших payload
-    strict: true,   // Только JSON объекты/массивы
-}));
-
-// 6. Парсинг URL-encoded
-app.use(express.urlencoded({ 
-    extended: false, 
-    limit: '10kb',
-}));
-
-// ============================================
-// СТАТИЧЕСКИЕ ФАЙЛЫ (Frontend)
-// ============================================
-const frontendPath = path.join(__dirname, '..', 'frontend');
-app.use(express.static(frontendPath, {
-    extensions: ['html'],
-    index: 'index.html',
-}));
-
-// ============================================
-// МАРШРУТЫ
-// ============================================
-
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'ok', 
-        timestamp: new Date().toISOString(),
-        version: '1.0.0',
-    });
-});
-
-// POST test endpoint
-app.post('/api/test', (req, res) => {
-    console.log('📨 POST /api/test received:', req.body);
-    res.json({ 
-        success: true, 
-        message: 'POST works!',
-        received: req.body,
-    });
-});
-
-// API маршруты
-app.use('/api/auth', authRouter);
-app.use('/api/scores', scoresRouter);
-
-// API информация
-app.get('/api', (req, res) => {
-    res.json({
-        name: 'AR Gesture Shooter API',
-        version: '1.0.0',
-        endpoints: {
-            'POST /api/scores': 'Сохранить результат игры',
-            'GET /api/scores/leaderboard': 'Таблица лидеров',
-            'GET /api/scores/user/:sessionId': 'Статистика пользователя',
-            'PUT /api/scores/user/:sessionId': 'Обновить имя пользователя',
-        },
-    });
-});
-
-// ============================================
-// ОБРАБОТКА ОШИБОК
-// ============================================
-
-// Для всех остальных маршрутов отдаём index.html (SPA fallback)
-app.get('*', (req, res, next) => {
-    // Если это API запрос - пропускаем к 404
-    if (req.path.startsWith('/api/')) {
-        return next();
-    }
-    res.sendFile(path.join(frontendPath, 'index.html'));
-});
-
-// 404 для неизвестных API маршрутов
-app.use(notFoundHandler);
-
-// Глобальный обработчик ошибок
-app.use(errorHandler);
+const app = createApp();
 
 // ============================================
 // GRACEFUL SHUTDOWN
@@ -212,18 +106,20 @@ async function shutdown(signal) {
     process.exit(0);
 }
 
-process.on('SIGTERM', () => shutdown('SIGTERM'));
-process.on('SIGINT', () => shutdown('SIGINT'));
-
-// Обработка необработанных ошибок
-process.on('uncaughtException', (error) => {
-    console.error('🔥 Uncaught Exception:', error);
-    process.exit(1);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('🔥 Unhandled Rejection at:', promise, 'reason:', reason);
-});
+function registerProcessHandlers() {
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    
+    // Обработка необработанных ошибок
+    process.on('uncaughtException', (error) => {
+        console.error('🔥 Uncaught Exception:', error);
+        process.exit(1);
+    });
+    
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('🔥 Unhandled Rejection at:', promise, 'reason:', reason);
+    });
+}
 
 // ============================================
 // ЗАПУСК СЕРВЕРА
@@ -237,11 +133,11 @@ async function start() {
         // Проверяем подключение к БД
         const dbConnected = await db.testConnection();
         if (!dbConnected) {
-            throw new Error('Не удалось подключиться к MySQL');
+            throw new Error('Не удалось подключиться к БД');
         }
         
-        // Инициализируем схему БД
-        await db.initSchema();
+        // Применяем новые миграции схемы БД
+        await migrate();
         
         // Запускаем HTTP сервер
         httpServer = http.createServer(app);
@@ -283,7 +179,13 @@ async function start() {
     }
 }
 
-start();
+// Сервер запускается только при `node index.js`:
+// require('./index') не проверяет конфигурацию, не подключается к БД и не слушает порты
+if (require.main === module) {
+    validateProductionConfig();
+    registerProcessHandlers();
+    start();
+}
 
-module.exports = app; // Для тестирования
+module.exports = app;
 
@@ -0,0 +1,89 @@
+/**
+ * Аутентификация администраторов
+ * Доступ по ключу ADMIN_KEY (заголовок X-Admin-Key)
+ * или по Telegram ID из ADMIN_TELEGRAM_IDS (подписанный initData в X-Telegram-Init-Data,
+ * проверяется так же, как у игроков: подпись, срок действия, одноразовость)
+ */
+
+const crypto = require('crypto');
+const { HTTP } = require('../config/constants');
+const { validateInitData, extractTelegramUser } = require('./telegramAuth');
+
+/**
+ * Список Telegram ID администраторов из env (через запятую)
+ */
+function getAdminTelegramIds() {
+    return (process.env.ADMIN_TELEGRAM_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Сравнение ключа (timing-safe comparison)
+ */
+function isValidAdminKey(key) {
+    const adminKey = process.env.ADMIN_KEY;
+    if (!adminKey || typeof key !== 'string') return false;
+    
+    // Сравниваем хеши, чтобы длины буферов совпадали
+    const expected = crypto.createHash('sha256').update(adminKey).digest();
+    const actual = crypto.createHash('sha256').update(key).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Middleware: только для администраторов
+ * В req.admin.actor записывается, кто выполняет действие (для журнала аудита)
+ */
+function requireAdmin(req, res, next) {
+    const adminKey = req.get('X-Admin-Key');
+    const initData = req.get('X-Telegram-Init-Data');
+    
+    if (adminKey) {
+        if (!isValidAdminKey(adminKey)) {
+            console.warn('⚠️ Admin: неверный ключ, IP:', req.ip);
+            return res.status(HTTP.FORBIDDEN).json({
+                success: false,
+                error: 'Access denied',
+            });
+        }
+        
+        req.admin = { actor: 'key' };
+        return next();
+    }
+    
+    if (initData) {
+        // Проверяем всегда, без исключений для development
+        const authError = validateInitData(initData, process.env.BOT_TOKEN);
+        if (authError) {
+            console.warn('⚠️ Admin: невалидные Telegram данные:', authError.code, 'IP:', req.ip);
+            return res.status(HTTP.UNAUTHORIZED).json({
+                success: false,
+                error: authError.error,
+                code: authError.code,
+            });
+        }
+        
+        const telegramUser = extractTelegramUser(initData);
+        if (!telegramUser || !getAdminTelegramIds().includes(String(telegramUser.telegramId))) {
+            console.warn('⚠️ Admin: отказ в доступе Telegram пользователю', telegramUser?.telegramId);
+            return res.status(HTTP.FORBIDDEN).json({
+                success: false,
+                error: 'Access denied',
+            });
+        }
+        
+        req.admin = { actor: `telegram:${telegramUser.telegramId}` };
+        return next();
+    }
+    
+    return res.status(HTTP.UNAUTHORIZED).json({
+        success: false,
+        error: 'Admin authentication required',
+    });
+}
+
+module.exports = {
+    requireAdmin,
+};
@@ -0,0 +1,134 @@
+/**
+ * Игровые сессии: подписанный одноразовый токен на каждую игру
+ * Сервер сам фиксирует время начала и считает длительность игры
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const { GAME, HTTP } = require('../config/constants');
+const { createTokenSigner } = require('../services/signedToken');
+const { getPlayerIdentity } = require('./userAuth');
+
+// Без GAME_TOKEN_SECRET токены действуют только до перезапуска сервера
+const gameTokens = createTokenSigner(process.env.GAME_TOKEN_SECRET || crypto.randomBytes(32).toString('hex'));
+
+/**
+ * Создать токен игры
+ * @param {object} payload - gid, tid/sid, mode, weapon, st
+ * @returns {string}
+ */
+function signGameToken(payload) {
+    return gameTokens.sign(payload);
+}
+
+/**
+ * Проверить подпись токена игры и извлечь данные
+ * @param {string} token
+ * @returns {object|null} null если токен повреждён или подделан
+ */
+function verifyGameToken(token) {
+    return gameTokens.verify(token);
+}
+
+/**
+ * Начать игровую сессию
+ * @param {object} params - telegramId или sessionId, gameMode, weapon
+ * @returns {Promise<{gameId: string, gameToken: string, startedAt: number}>}
+ */
+async function startGameSession({ telegramId, sessionId, gameMode = 'endless', weapon = 'pistol' }) {
+    const gameId = crypto.randomUUID();
+    const startedAt = Date.now();
+    
+    await db.query(
+        'INSERT INTO game_sessions (id, game_mode, started_at) VALUES (?, ?, ?)',
+        [gameId, gameMode, new Date(startedAt)]
+    );
+    
+    const gameToken = signGameToken({
+        gid: gameId,
+        ...(telegramId ? { tid: String(telegramId) } : { sid: sessionId }),
+        mode: gameMode,
+        weapon,
+        st: startedAt,
+    });
+    
+    return { gameId, gameToken, startedAt };
+}
+
+/**
+ * Middleware: результат игры принимается только с токеном её сессии
+ * Погашает токен и подставляет в req.body.durationMs длительность,
+ * посчитанную сервером (значение клиента игнорируется).
+ * Токен гасится до проверки результата: отклонённый результат не отправить повторно с правками
+ */
+async function requireGameSession(req, res, next) {
+    try {
+        const { gameToken, gameMode = 'endless', weapon = 'pistol' } = req.body;
+        
+        if (!gameToken) {
+            return res.status(HTTP.BAD_REQUEST).json({
+                success: false,
+                error: 'gameToken is required',
+            });
+        }
+        
+        const session = verifyGameToken(gameToken);
+        const player = getPlayerIdentity(req) || {};
+        
+        // Токен выдан этому же игроку
+        const isOwner = session && (session.tid
+            ? player.telegramId === session.tid
+            : Boolean(player.sessionId) && player.sessionId === session.sid);
+        
+        if (!isOwner) {
+            console.warn('❌ Игровая сессия: неверный токен или чужой игрок');
+            return res.status(HTTP.UNAUTHORIZED).json({
+                success: false,
+                error: 'Invalid game token',
+            });
+        }
+        
+        if (session.mode !== gameMode || session.weapon !== weapon) {
+            return res.status(HTTP.BAD_REQUEST).json({
+                success: false,
+                error: 'Game token does not match game mode or weapon',
+            });
+        }
+        
+        const durationMs = Date.now() - session.st;
+        if (durationMs > GAME.MAX_DURATION_MS + GAME.SESSION_GRACE_MS) {
+            return res.status(HTTP.BAD_REQUEST).json({
+                success: false,
+                error: 'Game session expired',
+            });
+        }
+        
+        // Одноразовость: погашаем сессию атомарно
+        const result = await db.query(
+            'UPDATE game_sessions SET finished_at = ? WHERE id = ? AND finished_at IS NULL',
+            [new Date(), session.gid]
+        );
+        
+        if (result.affectedRows !== 1) {
+            console.warn('❌ Игровая сессия: повторное использование токена', session.gid);
+            return res.status(HTTP.CONFLICT).json({
+                success: false,
+                error: 'Game token already used',
+            });
+        }
+        
+        req.gameSession = session;
+        req.body.durationMs = Math.min(durationMs, GAME.MAX_DURATION_MS);
+        
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = {
+    startGameSession,
+    requireGameSession,
+    signGameToken,
+    verifyGameToken,
+};
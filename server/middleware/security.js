@@ -142,7 +142,7 @@ function setupCors() {
         }
         
         res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Session-Id');
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Session-Id, X-Admin-Key, X-Telegram-Init-Data');
         res.header('Access-Control-Allow-Credentials', 'true');
         res.header('Access-Control-Max-Age', '86400'); // 24 часа кэш preflight
         
@@ -4,7 +4,11 @@
  */
 
 const crypto = require('crypto');
-const { HTTP } = require('../config/constants');
+const { HTTP, TELEGRAM_AUTH, TELEGRAM_AUTH_ERRORS } = require('../config/constants');
+
+// Уже использованные для входа initData: ключ → момент, когда initData истекает (мс)
+// Живут в памяти процесса — при нескольких инстансах сервера защита действует в каждом отдельно
+const usedInitData = new Map();
 
 /**
  * Верификация данных от Telegram Web App
@@ -58,6 +62,99 @@ function verifyTelegramWebAppData(initData, botToken) {
     }
 }
 
+/**
+ * Срок действия initData в секундах (0 — без ограничения)
+ */
+function getInitDataMaxAge() {
+    const maxAge = parseInt(process.env.TELEGRAM_AUTH_MAX_AGE_SEC, 10);
+    return Number.isNaN(maxAge) ? TELEGRAM_AUTH.MAX_AGE_SEC : Math.max(maxAge, 0);
+}
+
+/**
+ * Проверка свежести initData по auth_date
+ * @param {string} initData - Строка initData от Telegram
+ * @param {number} maxAgeSec - Срок действия (0 — без ограничения)
+ * @param {number} now - Текущее время (мс)
+ * @returns {string|null} - Код ошибки из TELEGRAM_AUTH_ERRORS или null
+ */
+function checkInitDataAge(initData, maxAgeSec = getInitDataMaxAge(), now = Date.now()) {
+    const authDate = Number(new URLSearchParams(initData).get('auth_date'));
+    
+    if (!Number.isInteger(authDate) || authDate <= 0) {
+        return TELEGRAM_AUTH_ERRORS.INVALID;
+    }
+    
+    const ageSec = now / 1000 - authDate;
+    
+    // auth_date из будущего — подделка или сильно сбитые часы
+    if (ageSec < -TELEGRAM_AUTH.CLOCK_SKEW_SEC) {
+        return TELEGRAM_AUTH_ERRORS.INVALID;
+    }
+    
+    if (maxAgeSec > 0 && ageSec > maxAgeSec) {
+        return TELEGRAM_AUTH_ERRORS.EXPIRED;
+    }
+    
+    return null;
+}
+
+/**
+ * Отметить initData использованным (защита от повторного входа по перехваченному initData)
+ * Ключ — query_id, а если его нет (Mini App открыт не из кнопки бота) — hash
+ * Запись хранится, пока initData не истечёт: после этого его отклонит проверка auth_date
+ * @param {string} initData - Строка initData от Telegram
+ * @param {number} now - Текущее время (мс)
+ * @returns {boolean} - false если initData уже использовали
+ */
+function consumeInitData(initData, now = Date.now()) {
+    const urlParams = new URLSearchParams(initData);
+    const key = urlParams.get('query_id') || urlParams.get('hash');
+    
+    // Убираем истёкшие записи
+    for (const [usedKey, expiresAt] of usedInitData) {
+        if (expiresAt <= now) usedInitData.delete(usedKey);
+    }
+    
+    if (usedInitData.has(key)) {
+        return false;
+    }
+    
+    // Без срока действия запись живёт стандартный срок
+    const maxAgeSec = getInitDataMaxAge() || TELEGRAM_AUTH.MAX_AGE_SEC;
+    const authDate = Number(urlParams.get('auth_date'));
+    usedInitData.set(key, (authDate + maxAgeSec) * 1000);
+    return true;
+}
+
+/**
+ * Полная проверка initData: подпись, срок действия
+ * и, если включено TELEGRAM_REPLAY_PROTECTION, одноразовость
+ * @param {string} initData - Строка initData от Telegram
+ * @param {string} botToken - Токен бота от @BotFather
+ * @returns {{code: string, error: string}|null} - Ошибка для ответа 401 или null
+ */
+function validateInitData(initData, botToken) {
+    if (!verifyTelegramWebAppData(initData, botToken)) {
+        return { code: TELEGRAM_AUTH_ERRORS.INVALID, error: 'Invalid Telegram data' };
+    }
+    
+    const ageError = checkInitDataAge(initData);
+    
+    if (ageError === TELEGRAM_AUTH_ERRORS.EXPIRED) {
+        return { code: ageError, error: 'Telegram data expired' };
+    }
+    
+    if (ageError) {
+        return { code: ageError, error: 'Invalid Telegram auth date' };
+    }
+    
+    if (process.env.TELEGRAM_REPLAY_PROTECTION === 'true' && !consumeInitData(initData)) {
+        return { code: TELEGRAM_AUTH_ERRORS.REPLAYED, error: 'Telegram data already used' };
+    }
+    
+    return null;
+}
+
 /**
  * Извлечение данных пользователя из initData
  * @param {string} initData - Строка initData от Telegram
@@ -109,11 +206,14 @@ function telegramAuthMiddleware(req, res, next) {
                 });
             }
             
-            if (!verifyTelegramWebAppData(initData, botToken)) {
-                console.warn('⚠️ Невалидные Telegram данные');
+            const authError = validateInitData(initData, botToken);
+            
+            if (authError) {
+                console.warn('⚠️ Невалидные Telegram данные:', authError.code);
                 return res.status(HTTP.UNAUTHORIZED).json({
                     success: false,
-                    error: 'Invalid Telegram authentication',
+                    error: authError.error,
+                    code: authError.code,
                 });
             }
         }
@@ -180,6 +280,8 @@ function optionalTelegramAuth(req, res, next) {
 
 module.exports = {
     verifyTelegramWebAppData,
+    checkInitDataAge,
+    validateInitData,
     extractTelegramUser,
     telegramAuthMiddleware,
     optionalTelegramAuth,
@@ -0,0 +1,184 @@
+/**
+ * Сессии игроков: подписанный bearer-токен, который выдаёт POST /api/auth/telegram
+ * Токен не хранится на сервере — игрок и срок действия записаны в нём самом
+ */
+
+const crypto = require('crypto');
+const { AUTH_TOKEN, AUTH_ERRORS, HTTP } = require('../config/constants');
+const { createTokenSigner } = require('../services/signedToken');
+const { validateInitData, extractTelegramUser } = require('./telegramAuth');
+const userRepository = require('../repositories/userRepository');
+
+// Без AUTH_TOKEN_SECRET после перезапуска сервера игроки входят заново
+const authTokens = createTokenSigner(process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex'));
+
+/**
+ * Выдать токен игроку из Telegram
+ * @param {object} user - строка users
+ * @param {number} now - момент выдачи (мс)
+ * @returns {{token: string, expiresAt: number}}
+ */
+function signAuthToken(user, now = Date.now()) {
+    const expiresAt = now + AUTH_TOKEN.TTL_MS;
+    const token = authTokens.sign({
+        uid: user.id,
+        tid: String(user.telegram_id),
+        exp: expiresAt,
+    });
+    
+    return { token, expiresAt };
+}
+
+/**
+ * Ответ 401 с кодом ошибки
+ */
+function rejectAuth(res, code, error) {
+    return res.status(HTTP.UNAUTHORIZED).json({
+        success: false,
+        error,
+        code,
+    });
+}
+
+/**
+ * Middleware: игрок из заголовка Authorization: Bearer <token> → req.user
+ * Без заголовка запрос идёт дальше анонимно. Неверный или истёкший токен тоже не мешает
+ * публичным запросам: причина сохраняется в req.authError, а 401 с ней отвечают
+ * только маршруты, которым нужен игрок (requirePlayer, GET /api/auth/me)
+ */
+async function authenticate(req, res, next) {
+    try {
+        const header = req.get('Authorization');
+        if (!header) return next();
+        
+        const [scheme, token] = header.split(' ');
+        const payload = scheme === 'Bearer' ? authTokens.verify(token) : null;
+        
+        if (!payload) {
+            req.authError = { code: AUTH_ERRORS.INVALID, error: 'Invalid auth token' };
+            return next();
+        }
+        
+        if (payload.exp <= Date.now()) {
+            req.authError = { code: AUTH_ERRORS.EXPIRED, error: 'Auth token expired' };
+            return next();
+        }
+        
+        // Игрок мог быть удалён после выдачи токена
+        const user = await userRepository.findById(payload.uid);
+        
+        if (!user || String(user.telegram_id) !== payload.tid) {
+            req.authError = { code: AUTH_ERRORS.INVALID, error: 'Invalid auth token' };
+            return next();
+        }
+        
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Кто играет: игрок из Telegram по токену или гость по sessionId из тела запроса
+ * telegramId из тела запроса не используется — ему нельзя доверять
+ * @returns {{telegramId: string}|{sessionId: string}|null}
+ */
+function getPlayerIdentity(req) {
+    if (req.user) return { telegramId: String(req.user.telegram_id) };
+    if (req.body.sessionId) return { sessionId: req.body.sessionId };
+    return null;
+}
+
+/**
+ * Игрок из Telegram по initData из тела запроса (для клиентов без токена сессии)
+ * Проверка та же, что при входе: подпись, срок действия, одноразовость
+ * @returns {Promise<{user: object}|{code: string, error: string}>}
+ */
+async function resolveInitDataUser(initData) {
+    const isDev = process.env.NODE_ENV === 'development';
+    const skipVerify = process.env.SKIP_TELEGRAM_VERIFY === 'true';
+    
+    if (!isDev && !skipVerify) {
+        const authError = validateInitData(initData, process.env.BOT_TOKEN);
+        if (authError) return authError;
+    }
+    
+    const telegramUser = extractTelegramUser(initData);
+    if (!telegramUser) {
+        return { code: AUTH_ERRORS.INVALID, error: 'Could not extract user data' };
+    }
+    
+    const { user } = await userRepository.findOrCreateByTelegramId(
+        telegramUser.telegramId,
+        telegramUser.username || telegramUser.firstName || null
+    );
+    return { user };
+}
+
+/**
+ * Middleware для записи: игрок из Telegram — с токеном сессии или подписанным initData,
+ * гость — со своим sessionId (он известен только его браузеру)
+ * telegramId без доказательства личности отклоняется
+ */
+async function requirePlayer(req, res, next) {
+    try {
+        // Клиент прислал токен, но он не действует — не подменяем игрока гостем
+        if (req.authError) {
+            return rejectAuth(res, req.authError.code, req.authError.error);
+        }
+        
+        if (!req.user && req.body.initData) {
+            const result = await resolveInitDataUser(req.body.initData);
+            
+            if (!result.user) {
+                console.warn('⚠️ Невалидные Telegram данные:', result.code);
+                return rejectAuth(res, result.code, result.error);
+            }
+            
+            req.user = result.user;
+        }
+        
+        if (!req.user && (req.body.telegramId || !req.body.sessionId)) {
+            console.warn('⚠️ Запись без аутентификации:', req.method, req.originalUrl);
+            return rejectAuth(res, AUTH_ERRORS.REQUIRED, 'Authorization required');
+        }
+        
+        // session_id есть и у игроков из Telegram: по нему гость не пишет в их аккаунт
+        if (!req.user) {
+            const owner = await userRepository.findBySessionId(req.body.sessionId);
+            
+            if (owner && owner.telegram_id) {
+                console.warn('⚠️ Гостевая запись с sessionId игрока из Telegram:', req.method, req.originalUrl);
+                return rejectAuth(res, AUTH_ERRORS.REQUIRED, 'Authorization required');
+            }
+        }
+        
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Middleware для чтения своих данных: только игрок из Telegram с действующим токеном сессии
+ */
+function requireAuthToken(req, res, next) {
+    if (req.authError) {
+        return rejectAuth(res, req.authError.code, req.authError.error);
+    }
+    
+    if (!req.user) {
+        return rejectAuth(res, AUTH_ERRORS.REQUIRED, 'Authorization required');
+    }
+    
+    next();
+}
+
+module.exports = {
+    signAuthToken,
+    authenticate,
+    getPlayerIdentity,
+    requirePlayer,
+    requireAuthToken,
+};
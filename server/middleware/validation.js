@@ -4,7 +4,10 @@
  */
 
 const { body, param, query, validationResult } = require('express-validator');
-const { GAME, USER, PAGINATION, LEADERBOARD_TYPES, HTTP } = require('../config/constants');
+const {
+    GAME, USER, PAGINATION, LEADERBOARD_TYPES, LEADERBOARD_PERIODS, GAME_MODES, WEAPONS,
+    WEAPON_RULES, SCORE_STATUS, BAN_STATUS, HTTP,
+} = require('../config/constants');
 
 /**
  * Обработчик ошибок валидации
@@ -15,6 +18,8 @@ function handleValidationErrors(req, res, next) {
         // Безопасное логирование (без sensitive данных)
         const safeBody = { ...req.body };
         delete safeBody.initData;
+        delete safeBody.gameToken;
+        delete safeBody.events;
         console.log('❌ Ошибка валидации:', JSON.stringify(safeBody, null, 2));
         console.log('   Ошибки:', errors.array().map(e => `${e.path}: ${e.msg}`).join(', '));
         return res.status(HTTP.BAD_REQUEST).json({
@@ -78,6 +83,7 @@ const validateGameResult = [
         .withMessage(`Комбо должно быть от 1 до ${GAME.MAX_COMBO}`)
         .toInt(),
     
+    // Длительность считает сервер по токену игры (requireGameSession)
     body('durationMs')
         .isInt({ min: GAME.MIN_DURATION_MS, max: GAME.MAX_DURATION_MS })
         .withMessage(`Длительность должна быть от ${GAME.MIN_DURATION_MS}ms до ${GAME.MAX_DURATION_MS}ms`)
@@ -85,41 +91,42 @@ const validateGameResult = [
     
     body('gameMode')
         .optional()
-        .isIn(['endless', 'timed', 'accuracy', 'survival'])
+        .isIn(GAME_MODES)
         .withMessage('Некорректный режим игры'),
     
+    body('weapon')
+        .optional()
+        .isIn(WEAPONS)
+        .withMessage('Некорректное оружие'),
+    
+    // Поля режима выживания
+    body('livesLost')
+        .optional()
+        .isInt({ min: 0, max: GAME.MAX_LIVES_LOST })
+        .withMessage(`Потерянных жизней должно быть от 0 до ${GAME.MAX_LIVES_LOST}`)
+        .toInt(),
+    
+    body('wave')
+        .optional()
+        .isInt({ min: 1, max: GAME.MAX_WAVE })
+        .withMessage(`Волна должна быть от 1 до ${GAME.MAX_WAVE}`)
+        .toInt(),
+    
+    // Журнал выстрелов (формат проверяет services/replay.js)
+    body('events')
+        .isArray({ max: GAME.MAX_EVENTS })
+        .withMessage(`Журнал выстрелов должен быть массивом до ${GAME.MAX_EVENTS} событий`),
+    
     handleValidationErrors,
     
-    // Дополнительная валидация на реалистичность (античит)
+    // Проверка согласованности данных
+    // Реалистичность темпа оценивает services/antiCheat.js (подозрительное — на проверку)
     (req, res, next) => {
-        const { score, targetsHit, durationMs, shotsFired } = req.body;
-        const durationMin = durationMs / 60000;
-        
-        // Античит только для игр дольше 10 секунд (избегаем false positives для коротких игр)
-        const MIN_DURATION_FOR_ANTICHEAT = 10000; // 10 секунд
-        
-        if (durationMs >= MIN_DURATION_FOR_ANTICHEAT && durationMin > 0) {
-            const scorePerMin = score / durationMin;
-            if (scorePerMin > GAME.MAX_SCORE_PER_MINUTE) {
-                console.warn('❌ Античит: scorePerMin =', scorePerMin, '>', GAME.MAX_SCORE_PER_MINUTE);
-                return res.status(HTTP.BAD_REQUEST).json({
-                    success: false,
-                    error: 'Подозрительная активность: слишком высокий счёт',
-                });
-            }
-            
-            const hitsPerMin = targetsHit / durationMin;
-            if (hitsPerMin > GAME.MAX_HITS_PER_MINUTE) {
-                console.warn('❌ Античит: hitsPerMin =', hitsPerMin, '>', GAME.MAX_HITS_PER_MINUTE);
-                return res.status(HTTP.BAD_REQUEST).json({
-                    success: false,
-                    error: 'Подозрительная активность: слишком много попаданий',
-                });
-            }
-        }
+        const { targetsHit, shotsFired, weapon = 'pistol' } = req.body;
         
-        // Попаданий не может быть больше выстрелов (если были выстрелы)
-        if (shotsFired > 0 && targetsHit > shotsFired) {
+        // Попаданий не может быть больше выстрелов (если были выстрелы);
+        // дробь поражает до pellets дисков одним выстрелом
+        if (shotsFired > 0 && targetsHit > shotsFired * WEAPON_RULES[weapon].pellets) {
             console.warn('❌ Античит: targetsHit =', targetsHit, '> shotsFired =', shotsFired);
             return res.status(HTTP.BAD_REQUEST).json({
                 success: false,
@@ -131,6 +138,34 @@ const validateGameResult = [
     },
 ];
 
+/**
+ * Валидация для начала игры
+ */
+const validateGameStart = [
+    body('sessionId')
+        .optional()
+        .isUUID(4)
+        .withMessage('Некорректный sessionId'),
+    
+    body('telegramId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Некорректный telegramId')
+        .toInt(),
+    
+    body('gameMode')
+        .optional()
+        .isIn(GAME_MODES)
+        .withMessage('Некорректный режим игры'),
+    
+    body('weapon')
+        .optional()
+        .isIn(WEAPONS)
+        .withMessage('Некорректное оружие'),
+    
+    handleValidationErrors,
+];
+
 /**
  * Валидация для получения рейтинга
  */
@@ -140,6 +175,21 @@ const validateLeaderboardQuery = [
         .isIn(LEADERBOARD_TYPES)
         .withMessage(`Тип должен быть одним из: ${LEADERBOARD_TYPES.join(', ')}`),
     
+    query('mode')
+        .optional()
+        .isIn(GAME_MODES)
+        .withMessage(`Режим должен быть одним из: ${GAME_MODES.join(', ')}`),
+    
+    query('weapon')
+        .optional()
+        .isIn(WEAPONS)
+        .withMessage(`Оружие должно быть одним из: ${WEAPONS.join(', ')}`),
+    
+    query('period')
+        .optional()
+        .isIn(LEADERBOARD_PERIODS)
+        .withMessage(`Период должен быть одним из: ${LEADERBOARD_PERIODS.join(', ')}`),
+    
     query('limit')
         .optional()
         .isInt({ min: 1, max: PAGINATION.MAX_LIMIT })
@@ -155,6 +205,31 @@ const validateLeaderboardQuery = [
     handleValidationErrors,
 ];
 
+/**
+ * Валидация для окна рейтинга вокруг игрока
+ * Те же фильтры, что и у рейтинга, плюс идентификатор игрока и размер окна
+ */
+const validateLeaderboardAroundQuery = [
+    query('telegramId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Некорректный telegramId')
+        .toInt(),
+    
+    query('sessionId')
+        .optional()
+        .isUUID(4)
+        .withMessage('Некорректный sessionId'),
+    
+    query('range')
+        .optional()
+        .isInt({ min: 1, max: PAGINATION.AROUND_MAX_RANGE })
+        .withMessage(`Размер окна должен быть от 1 до ${PAGINATION.AROUND_MAX_RANGE}`)
+        .toInt(),
+    
+    ...validateLeaderboardQuery,
+];
+
 /**
  * Валидация для создания/обновления пользователя
  */
@@ -187,11 +262,118 @@ const validateSessionId = [
     handleValidationErrors,
 ];
 
+/**
+ * Валидация числового id в параметрах (admin API)
+ */
+const idParam = param('id')
+    .isInt({ min: 1 })
+    .withMessage('Некорректный id')
+    .toInt();
+
+const validateIdParam = [
+    idParam,
+    handleValidationErrors,
+];
+
+/**
+ * Валидация пагинации списков в admin API
+ */
+const validateAdminPageQuery = [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: PAGINATION.MAX_LIMIT })
+        .withMessage(`Лимит должен быть от 1 до ${PAGINATION.MAX_LIMIT}`)
+        .toInt(),
+    
+    query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Offset должен быть >= 0')
+        .toInt(),
+    
+    handleValidationErrors,
+];
+
+/**
+ * Валидация списка результатов в admin API
+ */
+const validateAdminScoresQuery = [
+    query('status')
+        .optional()
+        .isIn(Object.values(SCORE_STATUS))
+        .withMessage(`Статус должен быть одним из: ${Object.values(SCORE_STATUS).join(', ')}`),
+    
+    query('userId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Некорректный userId')
+        .toInt(),
+    
+    ...validateAdminPageQuery,
+];
+
+/**
+ * Валидация смены статуса результата (проверка, скрытие)
+ */
+const validateAdminScoreStatus = [
+    idParam,
+    
+    body('status')
+        .isIn([SCORE_STATUS.APPROVED, SCORE_STATUS.REJECTED, SCORE_STATUS.HIDDEN])
+        .withMessage('Статус должен быть approved, rejected или hidden'),
+    
+    handleValidationErrors,
+];
+
+/**
+ * Валидация блокировки игрока
+ */
+const validateAdminBan = [
+    idParam,
+    
+    body('status')
+        .isIn(Object.values(BAN_STATUS))
+        .withMessage(`Статус должен быть одним из: ${Object.values(BAN_STATUS).join(', ')}`),
+    
+    body('reason')
+        .optional()
+        .isString()
+        .isLength({ max: 255 })
+        .withMessage('Причина — до 255 символов')
+        .customSanitizer(sanitizeString),
+    
+    handleValidationErrors,
+];
+
+/**
+ * Валидация переименования игрока администратором
+ */
+const validateAdminRename = [
+    idParam,
+    
+    body('username')
+        .isLength({ min: USER.USERNAME_MIN_LENGTH, max: USER.USERNAME_MAX_LENGTH })
+        .withMessage(`Имя должно быть от ${USER.USERNAME_MIN_LENGTH} до ${USER.USERNAME_MAX_LENGTH} символов`)
+        .matches(USER.USERNAME_PATTERN)
+        .withMessage('Имя может содержать только буквы, цифры и _')
+        .customSanitizer(sanitizeString),
+    
+    handleValidationErrors,
+];
+
 module.exports = {
     validateGameResult,
+    validateGameStart,
     validateLeaderboardQuery,
+    validateLeaderboardAroundQuery,
     validateUser,
     validateSessionId,
+    validateIdParam,
+    validateAdminPageQuery,
+    validateAdminScoresQuery,
+    validateAdminScoreStatus,
+    validateAdminBan,
+    validateAdminRename,
     sanitizeString,
 };
 
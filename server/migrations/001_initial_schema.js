@@ -0,0 +1,86 @@
+/**
+ * 001: пользователи, результаты и статистика игроков (первый релиз)
+ */
+
+const { isSqlite, idColumn, createTable, addColumnIfMissing, replaceView } = require('./helpers');
+
+const USER_STATS_SELECT = `
+    SELECT 
+        u.id as user_id,
+        u.username,
+        u.telegram_id,
+        COUNT(s.id) as total_games,
+        COALESCE(MAX(s.score), 0) as best_score,
+        COALESCE(SUM(s.targets_hit), 0) as total_hits,
+        COALESCE(AVG(s.accuracy), 0) as avg_accuracy,
+        COALESCE(MAX(s.max_combo), 0) as best_combo,
+        COALESCE(SUM(s.duration_ms), 0) as total_playtime_ms
+    FROM users u
+    LEFT JOIN scores s ON u.id = s.user_id
+    GROUP BY u.id
+`;
+
+module.exports = {
+    USER_STATS_SELECT,
+    
+    async up(db) {
+        await createTable(db, 'users', [
+            idColumn(db),
+            'session_id VARCHAR(36) NOT NULL UNIQUE',
+            'username VARCHAR(32) DEFAULT NULL',
+            'telegram_id BIGINT UNSIGNED DEFAULT NULL UNIQUE',
+            'created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+            isSqlite(db)
+                ? 'updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
+                : 'updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP',
+        ], [
+            ['idx_telegram_id', 'telegram_id'],
+            ['idx_session_id', 'session_id'],
+        ]);
+        
+        // В SQLite нет ON UPDATE CURRENT_TIMESTAMP — обновляем триггером
+        if (isSqlite(db)) {
+            await db.query(`
+                CREATE TRIGGER IF NOT EXISTS users_updated_at
+                AFTER UPDATE ON users
+                BEGIN
+                    UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+                END
+            `);
+        }
+        
+        // Базы самых первых версий создавались без telegram_id
+        await addColumnIfMissing(db, 'users', 'telegram_id', 'BIGINT UNSIGNED DEFAULT NULL', {
+            index: 'idx_telegram_id',
+            unique: true,
+        });
+        
+        await createTable(db, 'scores', [
+            idColumn(db),
+            'user_id INT UNSIGNED NOT NULL',
+            'score INT UNSIGNED NOT NULL DEFAULT 0',
+            'targets_hit INT UNSIGNED NOT NULL DEFAULT 0',
+            'shots_fired INT UNSIGNED NOT NULL DEFAULT 0',
+            'accuracy DECIMAL(5,4) NOT NULL DEFAULT 0',
+            'max_combo INT UNSIGNED NOT NULL DEFAULT 1',
+            'duration_ms INT UNSIGNED NOT NULL DEFAULT 0',
+            "game_mode VARCHAR(20) DEFAULT 'endless'",
+            'created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+            'FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE',
+        ], [
+            ['idx_score', 'score DESC'],
+            ['idx_targets', 'targets_hit DESC'],
+            ['idx_accuracy', 'accuracy DESC'],
+            ['idx_duration', 'duration_ms DESC'],
+            ['idx_created', 'created_at DESC'],
+        ]);
+        
+        await replaceView(db, 'user_stats', USER_STATS_SELECT);
+    },
+    
+    async down(db) {
+        await db.query('DROP VIEW IF EXISTS user_stats');
+        await db.query('DROP TABLE IF EXISTS scores');
+        await db.query('DROP TABLE IF EXISTS users');
+    },
+};
@@ -0,0 +1,19 @@
+/**
+ * 002: оружие и поля режима выживания в scores
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+module.exports = {
+    async up(db) {
+        await addColumnIfMissing(db, 'scores', 'weapon', "VARCHAR(20) NOT NULL DEFAULT 'pistol'");
+        await addColumnIfMissing(db, 'scores', 'lives_lost', 'TINYINT UNSIGNED DEFAULT NULL');
+        await addColumnIfMissing(db, 'scores', 'wave', 'SMALLINT UNSIGNED DEFAULT NULL');
+    },
+    
+    async down(db) {
+        await dropColumnIfExists(db, 'scores', 'wave');
+        await dropColumnIfExists(db, 'scores', 'lives_lost');
+        await dropColumnIfExists(db, 'scores', 'weapon');
+    },
+};
@@ -0,0 +1,22 @@
+/**
+ * 003: игровые сессии (одноразовые токены игры)
+ */
+
+const { createTable } = require('./helpers');
+
+module.exports = {
+    async up(db) {
+        await createTable(db, 'game_sessions', [
+            'id CHAR(36) PRIMARY KEY',
+            "game_mode VARCHAR(20) NOT NULL DEFAULT 'endless'",
+            'started_at TIMESTAMP(3) NOT NULL',
+            'finished_at TIMESTAMP(3) NULL DEFAULT NULL',
+        ], [
+            ['idx_started', 'started_at'],
+        ]);
+    },
+    
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS game_sessions');
+    },
+};
@@ -0,0 +1,20 @@
+/**
+ * 004: журнал выстрелов для каждого результата
+ */
+
+const { createTable } = require('./helpers');
+
+module.exports = {
+    async up(db) {
+        await createTable(db, 'score_events', [
+            'score_id INT UNSIGNED PRIMARY KEY',
+            'events MEDIUMTEXT NOT NULL',
+            'created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+            'FOREIGN KEY (score_id) REFERENCES scores(id) ON DELETE CASCADE',
+        ]);
+    },
+    
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS score_events');
+    },
+};
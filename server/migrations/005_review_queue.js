@@ -0,0 +1,62 @@
+/**
+ * 005: очередь проверки подозрительных результатов и доверие к игроку
+ */
+
+const {
+    idColumn,
+    createTable,
+    addColumnIfMissing,
+    dropColumnIfExists,
+    replaceView,
+} = require('./helpers');
+const { USER_STATS_SELECT: PREVIOUS_USER_STATS_SELECT } = require('./001_initial_schema');
+
+// Рейтинги строятся только по принятым результатам
+const USER_STATS_SELECT = `
+    SELECT 
+        u.id as user_id,
+        u.username,
+        u.telegram_id,
+        COUNT(s.id) as total_games,
+        COALESCE(MAX(s.score), 0) as best_score,
+        COALESCE(SUM(s.targets_hit), 0) as total_hits,
+        COALESCE(AVG(s.accuracy), 0) as avg_accuracy,
+        COALESCE(MAX(s.max_combo), 0) as best_combo,
+        COALESCE(SUM(s.duration_ms), 0) as total_playtime_ms
+    FROM users u
+    LEFT JOIN scores s ON u.id = s.user_id AND s.status = 'approved'
+    GROUP BY u.id
+`;
+
+module.exports = {
+    USER_STATS_SELECT,
+    
+    async up(db) {
+        await addColumnIfMissing(db, 'scores', 'status', "VARCHAR(10) NOT NULL DEFAULT 'approved'", {
+            index: 'idx_status',
+        });
+        await addColumnIfMissing(db, 'users', 'trust_score', 'TINYINT UNSIGNED NOT NULL DEFAULT 50');
+        
+        await createTable(db, 'flagged_scores', [
+            idColumn(db),
+            'score_id INT UNSIGNED NOT NULL',
+            'reason VARCHAR(32) NOT NULL',
+            'details VARCHAR(255) DEFAULT NULL',
+            'created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+            'reviewed_at TIMESTAMP NULL DEFAULT NULL',
+            'FOREIGN KEY (score_id) REFERENCES scores(id) ON DELETE CASCADE',
+        ], [
+            ['idx_reviewed', 'reviewed_at'],
+            ['idx_reason', 'reason'],
+        ]);
+        
+        await replaceView(db, 'user_stats', USER_STATS_SELECT);
+    },
+    
+    async down(db) {
+        await replaceView(db, 'user_stats', PREVIOUS_USER_STATS_SELECT);
+        await db.query('DROP TABLE IF EXISTS flagged_scores');
+        await dropColumnIfExists(db, 'users', 'trust_score');
+        await dropColumnIfExists(db, 'scores', 'status', 'idx_status');
+    },
+};
@@ -0,0 +1,59 @@
+/**
+ * 006: блокировка игроков и журнал аудита admin API
+ */
+
+const {
+    idColumn,
+    createTable,
+    addColumnIfMissing,
+    dropColumnIfExists,
+    replaceView,
+} = require('./helpers');
+const { USER_STATS_SELECT: PREVIOUS_USER_STATS_SELECT } = require('./005_review_queue');
+
+// Рейтинги строятся только по принятым результатам незаблокированных игроков
+const USER_STATS_SELECT = `
+    SELECT 
+        u.id as user_id,
+        u.username,
+        u.telegram_id,
+        COUNT(s.id) as total_games,
+        COALESCE(MAX(s.score), 0) as best_score,
+        COALESCE(SUM(s.targets_hit), 0) as total_hits,
+        COALESCE(AVG(s.accuracy), 0) as avg_accuracy,
+        COALESCE(MAX(s.max_combo), 0) as best_combo,
+        COALESCE(SUM(s.duration_ms), 0) as total_playtime_ms
+    FROM users u
+    LEFT JOIN scores s ON u.id = s.user_id AND s.status = 'approved'
+    WHERE u.ban_status = 'active'
+    GROUP BY u.id
+`;
+
+module.exports = {
+    USER_STATS_SELECT,
+    
+    async up(db) {
+        await addColumnIfMissing(db, 'users', 'ban_status', "VARCHAR(10) NOT NULL DEFAULT 'active'");
+        
+        await createTable(db, 'admin_audit_log', [
+            idColumn(db),
+            'actor VARCHAR(64) NOT NULL',
+            'action VARCHAR(32) NOT NULL',
+            'target_type VARCHAR(16) NOT NULL',
+            'target_id INT UNSIGNED NOT NULL',
+            'details TEXT DEFAULT NULL',
+            'created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+        ], [
+            ['idx_target', 'target_type, target_id'],
+            ['idx_created', 'created_at DESC'],
+        ]);
+        
+        await replaceView(db, 'user_stats', USER_STATS_SELECT);
+    },
+    
+    async down(db) {
+        await replaceView(db, 'user_stats', PREVIOUS_USER_STATS_SELECT);
+        await db.query('DROP TABLE IF EXISTS admin_audit_log');
+        await dropColumnIfExists(db, 'users', 'ban_status');
+    },
+};
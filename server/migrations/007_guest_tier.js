@@ -0,0 +1,36 @@
+/**
+ * 007: гости (игроки без Telegram) не участвуют в рейтингах
+ */
+
+const { replaceView } = require('./helpers');
+const { USER_STATS_SELECT: PREVIOUS_USER_STATS_SELECT } = require('./006_admin_moderation');
+
+// Рейтинги строятся только по принятым результатам незаблокированных игроков из Telegram
+const USER_STATS_SELECT = `
+    SELECT
+        u.id as user_id,
+        u.username,
+        u.telegram_id,
+        COUNT(s.id) as total_games,
+        COALESCE(MAX(s.score), 0) as best_score,
+        COALESCE(SUM(s.targets_hit), 0) as total_hits,
+        COALESCE(AVG(s.accuracy), 0) as avg_accuracy,
+        COALESCE(MAX(s.max_combo), 0) as best_combo,
+        COALESCE(SUM(s.duration_ms), 0) as total_playtime_ms
+    FROM users u
+    LEFT JOIN scores s ON u.id = s.user_id AND s.status = 'approved'
+    WHERE u.ban_status = 'active' AND u.telegram_id IS NOT NULL
+    GROUP BY u.id
+`;
+
+module.exports = {
+    USER_STATS_SELECT,
+    
+    async up(db) {
+        await replaceView(db, 'user_stats', USER_STATS_SELECT);
+    },
+    
+    async down(db) {
+        await replaceView(db, 'user_stats', PREVIOUS_USER_STATS_SELECT);
+    },
+};
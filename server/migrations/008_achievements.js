@@ -0,0 +1,24 @@
+/**
+ * 008: открытые игроками достижения
+ */
+
+const { idColumn, createTable } = require('./helpers');
+
+module.exports = {
+    async up(db) {
+        await createTable(db, 'user_achievements', [
+            idColumn(db),
+            'user_id INT UNSIGNED NOT NULL',
+            'achievement VARCHAR(32) NOT NULL',
+            'score_id INT UNSIGNED DEFAULT NULL',
+            'unlocked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+            'UNIQUE (user_id, achievement)',
+            'FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE',
+            'FOREIGN KEY (score_id) REFERENCES scores(id) ON DELETE SET NULL',
+        ]);
+    },
+    
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS user_achievements');
+    },
+};
@@ -0,0 +1,28 @@
+/**
+ * 009: опыт игрока (уровень и открытое оружие считаются по нему)
+ */
+
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+module.exports = {
+    async up(db) {
+        await addColumnIfMissing(db, 'users', 'xp', 'INT UNSIGNED NOT NULL DEFAULT 0');
+        
+        // Опыт за уже сыгранные принятые игры — по формуле calculateGameXp на момент миграции
+        await db.query(`
+            UPDATE users SET xp = COALESCE((
+                SELECT SUM(
+                    (s.score - s.score % 100) / 100
+                    + s.targets_hit * 2
+                    + CASE WHEN s.shots_fired >= 10 THEN ROUND(20.0 * s.targets_hit / s.shots_fired) ELSE 0 END
+                )
+                FROM scores s
+                WHERE s.user_id = users.id AND s.status = 'approved'
+            ), 0)
+        `);
+    },
+    
+    async down(db) {
+        await dropColumnIfExists(db, 'users', 'xp');
+    },
+};
@@ -0,0 +1,129 @@
+/**
+ * Вспомогательные функции для миграций
+ * Скрывают различия MySQL и SQLite в DDL и позволяют «принять» базу,
+ * созданную до появления версионных миграций: колонки и индексы
+ * добавляются, только если их ещё нет
+ */
+
+const MYSQL_TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+/**
+ * @param {object} db - модуль config/database (query, getDialect)
+ */
+function isSqlite(db) {
+    return db.getDialect() === 'sqlite';
+}
+
+/**
+ * Определение автоинкрементного первичного ключа id
+ */
+function idColumn(db) {
+    return isSqlite(db)
+        ? 'id INTEGER PRIMARY KEY AUTOINCREMENT'
+        : 'id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY';
+}
+
+/**
+ * Имя индекса в БД
+ * В SQLite имена индексов общие для всей базы, поэтому добавляем имя таблицы
+ */
+function indexName(db, table, name) {
+    return isSqlite(db) ? `${table}_${name}` : name;
+}
+
+/**
+ * Создать таблицу, если её нет
+ * @param {string} table - имя таблицы
+ * @param {string[]} columns - определения колонок и ограничений
+ * @param {Array<[string, string]>} indexes - пары [имя, колонки]
+ */
+async function createTable(db, table, columns, indexes = []) {
+    if (isSqlite(db)) {
+        await db.query(`CREATE TABLE IF NOT EXISTS ${table} (\n${columns.join(',\n')}\n)`);
+        for (const [name, indexColumns] of indexes) {
+            await db.query(
+                `CREATE INDEX IF NOT EXISTS ${indexName(db, table, name)} ON ${table} (${indexColumns})`
+            );
+        }
+        return;
+    }
+    
+    const definitions = [
+        ...columns,
+        ...indexes.map(([name, indexColumns]) => `INDEX ${name} (${indexColumns})`),
+    ];
+    await db.query(`CREATE TABLE IF NOT EXISTS ${table} (\n${definitions.join(',\n')}\n) ${MYSQL_TABLE_OPTIONS}`);
+}
+
+/**
+ * Есть ли колонка в таблице
+ */
+async function columnExists(db, table, column) {
+    const rows = isSqlite(db)
+        ? await db.query('SELECT name FROM pragma_table_info(?) WHERE name = ?', [table, column])
+        : await db.query(
+            `SELECT COLUMN_NAME
+             FROM INFORMATION_SCHEMA.COLUMNS
+             WHERE TABLE_SCHEMA = DATABASE()
+             AND TABLE_NAME = ?
+             AND COLUMN_NAME = ?`,
+            [table, column]
+        );
+    return rows.length > 0;
+}
+
+/**
+ * Добавить колонку, если её нет
+ * SQLite не умеет добавлять UNIQUE колонку — уникальность задаётся индексом
+ * @param {string} definition - тип, NULL/NOT NULL, DEFAULT
+ * @param {object} options - index: имя индекса по колонке, unique: индекс уникальный
+ * @returns {Promise<boolean>} true если колонка добавлена
+ */
+async function addColumnIfMissing(db, table, column, definition, { index = null, unique = false } = {}) {
+    if (await columnExists(db, table, column)) return false;
+    
+    console.log(`📦 Добавляем колонку ${column} в ${table}...`);
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    
+    if (index) {
+        await db.query(
+            `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${indexName(db, table, index)} ON ${table} (${column})`
+        );
+    }
+    return true;
+}
+
+/**
+ * Удалить колонку, если она есть
+ * SQLite не удаляет индексированную колонку — сначала удаляем её индекс
+ * @param {string|null} index - имя индекса по колонке
+ */
+async function dropColumnIfExists(db, table, column, index = null) {
+    if (!(await columnExists(db, table, column))) return false;
+    
+    if (index && isSqlite(db)) {
+        await db.query(`DROP INDEX IF EXISTS ${indexName(db, table, index)}`);
+    }
+    await db.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    return true;
+}
+
+/**
+ * Создать или пересоздать view
+ * (CREATE OR REPLACE VIEW есть только в MySQL)
+ * @param {string} select - запрос view
+ */
+async function replaceView(db, name, select) {
+    await db.query(`DROP VIEW IF EXISTS ${name}`);
+    await db.query(`CREATE VIEW ${name} AS ${select}`);
+}
+
+module.exports = {
+    isSqlite,
+    idColumn,
+    createTable,
+    columnExists,
+    addColumnIfMissing,
+    dropColumnIfExists,
+    replaceView,
+};
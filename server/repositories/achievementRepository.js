@@ -0,0 +1,49 @@
+/**
+ * Открытые игроками достижения (таблица user_achievements)
+ */
+
+const db = require('../config/database');
+
+/**
+ * Открытые достижения игрока (в порядке открытия)
+ * @returns {Promise<Array<{achievement: string, unlockedAt: string}>>}
+ */
+async function listByUser(userId) {
+    return db.query(
+        `SELECT achievement, unlocked_at as unlockedAt
+         FROM user_achievements
+         WHERE user_id = ?
+         ORDER BY unlocked_at, id`,
+        [userId]
+    );
+}
+
+/**
+ * Записать открытые достижения
+ * Достижение, уже записанное параллельным запросом, пропускается
+ * @param {string[]} achievementIds
+ * @param {number} scoreId - игра, которой они открыты
+ * @returns {Promise<string[]>} действительно записанные достижения
+ */
+async function unlock(userId, achievementIds, scoreId) {
+    const inserted = [];
+    
+    for (const achievement of achievementIds) {
+        try {
+            await db.query(
+                'INSERT INTO user_achievements (user_id, achievement, score_id) VALUES (?, ?, ?)',
+                [userId, achievement, scoreId]
+            );
+            inserted.push(achievement);
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
+        }
+    }
+    
+    return inserted;
+}
+
+module.exports = {
+    listByUser,
+    unlock,
+};
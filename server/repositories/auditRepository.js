@@ -0,0 +1,40 @@
+/**
+ * Журнал действий администраторов (таблица admin_audit_log)
+ */
+
+const db = require('../config/database');
+
+/**
+ * Записать действие
+ * @param {object} entry - actor, action, targetType, targetId, details (объект или null)
+ */
+async function create({ actor, action, targetType, targetId, details = null }) {
+    await db.query(
+        `INSERT INTO admin_audit_log (actor, action, target_type, target_id, details)
+         VALUES (?, ?, ?, ?, ?)`,
+        [actor, action, targetType, targetId, details ? JSON.stringify(details) : null]
+    );
+}
+
+/**
+ * Последние действия (limit/offset уже провалидированы)
+ */
+async function list({ limit, offset }) {
+    const entries = await db.query(
+        `SELECT id, actor, action, target_type as targetType, target_id as targetId,
+                details, created_at as createdAt
+         FROM admin_audit_log
+         ORDER BY created_at DESC, id DESC
+         LIMIT ${limit} OFFSET ${offset}`
+    );
+    
+    return entries.map(entry => ({
+        ...entry,
+        details: entry.details ? JSON.parse(entry.details) : null,
+    }));
+}
+
+module.exports = {
+    create,
+    list,
+};
@@ -0,0 +1,555 @@
+/**
+ * Доступ к результатам игр (таблицы scores, flagged_scores, score_events)
+ * Сохранение результата, история игрока, места и таблицы лидеров
+ */
+
+const db = require('../config/database');
+const { GAME_MODES, WEAPONS, LEADERBOARD_PERIODS, SCORE_STATUS, BAN_STATUS } = require('../config/constants');
+
+/**
+ * Игроки, участвующие в рейтингах
+ * Заблокированные и теневые (shadow-ban) исключаются из всех рейтингов,
+ * гости (без Telegram) в рейтингах не участвуют
+ */
+const RANKED_USERS = `SELECT id FROM users WHERE ban_status = '${BAN_STATUS.ACTIVE}' AND telegram_id IS NOT NULL`;
+
+/**
+ * Условие рейтинга, в который попадает игра указанного режима
+ * Режим точности — отдельный рейтинг, остальные режимы — общий
+ * Учитываются только принятые результаты
+ */
+function getBoardCondition(gameMode) {
+    const board = gameMode === 'accuracy' ? "game_mode = 'accuracy'" : "game_mode <> 'accuracy'";
+    return `${board} AND status = '${SCORE_STATUS.APPROVED}'`;
+}
+
+/**
+ * Лучший результат игрока в рейтинге режима
+ * @returns {Promise<number|null>} null если игр ещё не было
+ */
+async function getBestScore(userId, gameMode) {
+    const [row] = await db.query(
+        `SELECT MAX(score) as bestScore 
+         FROM scores 
+         WHERE user_id = ? AND ${getBoardCondition(gameMode)}`,
+        [userId]
+    );
+    return row?.bestScore ?? null;
+}
+
+/**
+ * Место результата в рейтинге по очкам
+ * Считается как в таблице лидеров: по одному лучшему результату на игрока
+ * @param {number} score - результат, для которого ищем место
+ * @param {string} gameMode - режим (определяет рейтинг)
+ * @param {number} userId - игрок, которого не сравниваем с самим собой
+ */
+async function getScoreRank(score, gameMode, userId) {
+    const [rankResult] = await db.query(
+        `SELECT COUNT(*) + 1 as \`rank\` 
+         FROM (
+             SELECT user_id, MAX(score) as best_score 
+             FROM scores 
+             WHERE ${getBoardCondition(gameMode)} AND user_id IN (${RANKED_USERS})
+             GROUP BY user_id
+         ) t 
+         WHERE best_score > ? AND user_id <> ?`,
+        [score, userId]
+    );
+    return rankResult?.rank || 1;
+}
+
+/**
+ * Место игрока в общем рейтинге по очкам (по его лучшему результату)
+ */
+async function getPlayerRank(userId) {
+    const bestScore = await getBestScore(userId, 'endless');
+    return getScoreRank(bestScore || 0, 'endless', userId);
+}
+
+/**
+ * Сохранить результат игры
+ * @param {object} game - результат (поля в camelCase)
+ * @returns {Promise<number>} id результата
+ */
+async function create({
+    userId, score, targetsHit, shotsFired, accuracy, maxCombo, durationMs,
+    gameMode, weapon, livesLost = null, wave = null, status,
+}) {
+    const result = await db.query(
+        `INSERT INTO scores 
+         (user_id, score, targets_hit, shots_fired, accuracy, max_combo, duration_ms, game_mode, weapon, lives_lost, wave, status) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, score, targetsHit, shotsFired, accuracy, maxCombo, durationMs, gameMode, weapon, livesLost, wave, status]
+    );
+    return result.insertId;
+}
+
+/**
+ * Поставить результат в очередь проверки
+ * @param {Array<{reason: string, details: string}>} flags - причины из antiCheat
+ */
+async function addFlags(scoreId, flags) {
+    for (const flag of flags) {
+        await db.query(
+            'INSERT INTO flagged_scores (score_id, reason, details) VALUES (?, ?, ?)',
+            [scoreId, flag.reason, flag.details]
+        );
+    }
+}
+
+/**
+ * Сохранить журнал выстрелов результата
+ */
+async function saveEvents(scoreId, events) {
+    await db.query(
+        'INSERT INTO score_events (score_id, events) VALUES (?, ?)',
+        [scoreId, JSON.stringify(events)]
+    );
+}
+
+/**
+ * Журнал выстрелов результата
+ * @returns {Promise<Array|null>} null если журнала нет
+ */
+async function getEvents(scoreId) {
+    const [log] = await db.query('SELECT events FROM score_events WHERE score_id = ?', [scoreId]);
+    return log ? JSON.parse(log.events) : null;
+}
+
+/**
+ * Последние игры игрока
+ */
+async function getRecentGames(userId, limit = 5) {
+    return db.query(
+        `SELECT 
+            score, 
+            targets_hit as targetsHit, 
+            ROUND(accuracy * 100, 1) as accuracy,
+            max_combo as maxCombo,
+            duration_ms as durationMs,
+            status,
+            created_at as playedAt
+         FROM scores 
+         WHERE user_id = ? 
+         ORDER BY created_at DESC 
+         LIMIT ${limit}`,
+        [userId]
+    );
+}
+
+/**
+ * Сортировка для каждого типа рейтинга: колонка scores и требование к игре
+ * Имена колонок берутся только отсюда (защита от SQL-инъекций)
+ */
+const LEADERBOARD_SORTS = {
+    score: { column: 'score' },
+    hits: { column: 'targets_hit' },
+    accuracy: { column: 'accuracy', condition: 'shots_fired >= 10' },
+    duration: { column: 'duration_ms' },
+};
+
+/**
+ * Рейтинги по суммарной статистике игрока (view user_stats)
+ * Считаются за всё время по всем играм, фильтры mode/weapon/period не применяются
+ */
+const STATS_LEADERBOARDS = {
+    combo: { column: 'best_combo' },
+    playtime: { column: 'total_playtime_ms' },
+};
+
+/**
+ * Границы текущего периода рейтинга (UTC)
+ * День — с полуночи, неделя — с понедельника, месяц — с 1-го числа
+ * @param {string} period - day | week | month | all
+ * @returns {{startsAt: Date, resetsAt: Date}|null} null для all
+ */
+function getPeriodBounds(period, now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.getUTCDate();
+    
+    switch (period) {
+        case 'day':
+            return {
+                startsAt: new Date(Date.UTC(year, month, day)),
+                resetsAt: new Date(Date.UTC(year, month, day + 1)),
+            };
+        case 'week': {
+            const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+            return {
+                startsAt: new Date(Date.UTC(year, month, day - daysSinceMonday)),
+                resetsAt: new Date(Date.UTC(year, month, day - daysSinceMonday + 7)),
+            };
+        }
+        case 'month':
+            return {
+                startsAt: new Date(Date.UTC(year, month, 1)),
+                resetsAt: new Date(Date.UTC(year, month + 1, 1)),
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Поля строки рейтинга
+ */
+const LEADERBOARD_FIELDS = `
+    s.id,
+    COALESCE(u.username, CONCAT('Игрок #', u.id)) as username,
+    s.score,
+    s.targets_hit as targetsHit,
+    ROUND(s.accuracy * 100, 1) as accuracy,
+    s.max_combo as maxCombo,
+    s.duration_ms as durationMs,
+    s.game_mode as gameMode,
+    s.weapon,
+    s.created_at as playedAt
+`;
+
+/**
+ * Поля строки рейтинга по суммарной статистике
+ */
+const STATS_LEADERBOARD_FIELDS = `
+    us.user_id as userId,
+    COALESCE(us.username, CONCAT('Игрок #', us.user_id)) as username,
+    us.best_score as score,
+    us.total_hits as targetsHit,
+    us.best_combo as maxCombo,
+    us.total_playtime_ms as totalPlaytimeMs,
+    us.total_games as totalGames
+`;
+
+/**
+ * Разбор параметров рейтинга (type, mode, weapon, period) в SQL-условия
+ * Значения проходят через whitelist и передаются плейсхолдерами
+ * Условия написаны для алиаса s2 (строки одного игрока)
+ */
+function buildLeaderboardFilters(params) {
+    // Whitelist для типов рейтинга (защита от SQL-инъекций)
+    const ALLOWED_TYPES = Object.keys(LEADERBOARD_SORTS);
+    const type = ALLOWED_TYPES.includes(params.type) ? params.type : 'score';
+    const sort = LEADERBOARD_SORTS[type];
+    
+    // Режим точности — отдельный рейтинг и в общий не попадает
+    const mode = GAME_MODES.includes(params.mode) ? params.mode : null;
+    const weapon = WEAPONS.includes(params.weapon) ? params.weapon : null;
+    const period = LEADERBOARD_PERIODS.includes(params.period) ? params.period : 'all';
+    const bounds = getPeriodBounds(period);
+    
+    // Результаты на проверке, скрытые и заблокированные игроки в рейтинг не попадают
+    const filters = [
+        `s2.status = '${SCORE_STATUS.APPROVED}'`,
+        `s2.user_id IN (${RANKED_USERS})`,
+        mode ? 's2.game_mode = ?' : "s2.game_mode <> 'accuracy'",
+    ];
+    const filterParams = mode ? [mode] : [];
+    if (weapon) {
+        filters.push('s2.weapon = ?');
+        filterParams.push(weapon);
+    }
+    if (sort.condition) {
+        filters.push(`s2.${sort.condition}`);
+    }
+    if (bounds) {
+        filters.push('s2.created_at >= ?');
+        filterParams.push(bounds.startsAt);
+    }
+    
+    return {
+        type,
+        sort,
+        period,
+        bounds,
+        condition: filters.join(' AND '),
+        params: filterParams,
+    };
+}
+
+/**
+ * Лучшие результаты игроков (по одному на игрока) с учётом фильтров
+ * @param {object} filters - результат buildLeaderboardFilters
+ * @param {object} options - доп. условие на s, направление сортировки, limit/offset
+ */
+async function selectBestScores(filters, { where = '', whereParams = [], direction = 'DESC', limit, offset = 0 }) {
+    const { sort, bounds } = filters;
+    
+    // Внешнее условие по created_at позволяет использовать idx_created
+    // LIMIT, OFFSET и direction задаются только кодом (уже провалидированы)
+    return db.query(
+        `SELECT ${LEADERBOARD_FIELDS}
+         FROM scores s
+         INNER JOIN users u ON s.user_id = u.id
+         WHERE s.id = (
+             SELECT s2.id FROM scores s2 
+             WHERE s2.user_id = s.user_id AND ${filters.condition}
+             ORDER BY s2.${sort.column} DESC, s2.created_at DESC 
+             LIMIT 1
+         )
+         ${bounds ? 'AND s.created_at >= ?' : ''}
+         ${where}
+         ORDER BY s.${sort.column} ${direction === 'ASC' ? 'ASC' : 'DESC'}
+         LIMIT ${limit} OFFSET ${offset}`,
+        [...filters.params, ...(bounds ? [bounds.startsAt] : []), ...whereParams]
+    );
+}
+
+/**
+ * Рейтинг по суммарной статистике игроков
+ * @param {string} type - ключ STATS_LEADERBOARDS
+ */
+async function selectStatsLeaders(type, { limit, offset = 0 }) {
+    const statsSort = STATS_LEADERBOARDS[type];
+    const rows = await db.query(
+        `SELECT ${STATS_LEADERBOARD_FIELDS}
+         FROM user_stats us
+         WHERE us.total_games > 0
+         ORDER BY us.${statsSort.column} DESC, us.best_score DESC
+         LIMIT ${limit} OFFSET ${offset}`
+    );
+    
+    // SUM() в MySQL возвращает DECIMAL, драйвер отдаёт его строкой
+    return rows.map(row => ({
+        ...row,
+        targetsHit: Number(row.targetsHit),
+        totalPlaytimeMs: Number(row.totalPlaytimeMs),
+    }));
+}
+
+/**
+ * Рейтинг по суммарной статистике игрока (combo, playtime)?
+ */
+function isStatsLeaderboard(type) {
+    return Object.prototype.hasOwnProperty.call(STATS_LEADERBOARDS, type);
+}
+
+/**
+ * Количество игроков в рейтинге с учётом фильтров
+ */
+async function countBestScorePlayers(filters) {
+    const [countResult] = await db.query(
+        `SELECT COUNT(DISTINCT user_id) as total FROM scores s2 WHERE ${filters.condition}`,
+        filters.params
+    );
+    return Number(countResult?.total || 0);
+}
+
+/**
+ * Количество игроков в рейтинге по суммарной статистике
+ */
+async function countStatsPlayers() {
+    const [countResult] = await db.query(
+        'SELECT COUNT(*) as total FROM user_stats WHERE total_games > 0'
+    );
+    return Number(countResult?.total || 0);
+}
+
+/**
+ * Лучший результат игрока с учётом фильтров рейтинга
+ * @returns {Promise<{id: number, value: number}|undefined>}
+ */
+async function findUserBest(userId, filters) {
+    const { sort } = filters;
+    const [best] = await db.query(
+        `SELECT s2.id, s2.${sort.column} as value 
+         FROM scores s2 
+         WHERE s2.user_id = ? AND ${filters.condition}
+         ORDER BY s2.${sort.column} DESC, s2.created_at DESC 
+         LIMIT 1`,
+        [userId, ...filters.params]
+    );
+    return best;
+}
+
+/**
+ * Место в рейтинге = количество игроков с лучшим результатом выше + 1
+ */
+async function getLeaderboardRank(filters, value) {
+    const [rankResult] = await db.query(
+        `SELECT COUNT(DISTINCT s2.user_id) + 1 as \`rank\` 
+         FROM scores s2 
+         WHERE ${filters.condition} AND s2.${filters.sort.column} > ?`,
+        [...filters.params, value]
+    );
+    return rankResult?.rank || 1;
+}
+
+/**
+ * Строка рейтинга для одного результата
+ */
+async function findLeaderboardRow(scoreId) {
+    const [row] = await db.query(
+        `SELECT ${LEADERBOARD_FIELDS} 
+         FROM scores s 
+         INNER JOIN users u ON s.user_id = u.id 
+         WHERE s.id = ?`,
+        [scoreId]
+    );
+    return row;
+}
+
+/**
+ * Поля результата для модерации
+ */
+const ADMIN_SCORE_FIELDS = `
+    s.id,
+    s.user_id as userId,
+    COALESCE(u.username, CONCAT('Игрок #', u.id)) as username,
+    u.telegram_id as telegramId,
+    u.trust_score as trustScore,
+    u.ban_status as banStatus,
+    s.score,
+    s.targets_hit as targetsHit,
+    s.shots_fired as shotsFired,
+    ROUND(s.accuracy * 100, 1) as accuracy,
+    s.max_combo as maxCombo,
+    s.duration_ms as durationMs,
+    s.game_mode as gameMode,
+    s.weapon,
+    s.status,
+    s.created_at as playedAt
+`;
+
+/**
+ * Результат по id (строка scores)
+ */
+async function findById(id) {
+    const [score] = await db.query('SELECT * FROM scores WHERE id = ?', [id]);
+    return score;
+}
+
+/**
+ * Результат с данными игрока для модерации
+ */
+async function findForModeration(id) {
+    const [score] = await db.query(
+        `SELECT ${ADMIN_SCORE_FIELDS}
+         FROM scores s
+         INNER JOIN users u ON s.user_id = u.id
+         WHERE s.id = ?`,
+        [id]
+    );
+    return score;
+}
+
+/**
+ * Последние результаты для модерации
+ * @param {object} options - status, userId (фильтры), limit/offset (уже провалидированы)
+ */
+async function listForModeration({ status, userId, limit, offset }) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+        conditions.push('s.status = ?');
+        params.push(status);
+    }
+    if (userId) {
+        conditions.push('s.user_id = ?');
+        params.push(userId);
+    }
+    
+    return db.query(
+        `SELECT ${ADMIN_SCORE_FIELDS}
+         FROM scores s
+         INNER JOIN users u ON s.user_id = u.id
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY s.created_at DESC, s.id DESC
+         LIMIT ${limit} OFFSET ${offset}`,
+        params
+    );
+}
+
+/**
+ * Очередь проверки: результаты с непросмотренными причинами
+ * У каждого результата — список его причин (flags)
+ */
+async function listFlagged({ limit, offset }) {
+    const scores = await db.query(
+        `SELECT ${ADMIN_SCORE_FIELDS}
+         FROM scores s
+         INNER JOIN users u ON s.user_id = u.id
+         WHERE s.id IN (SELECT score_id FROM flagged_scores WHERE reviewed_at IS NULL)
+         ORDER BY s.created_at ASC, s.id ASC
+         LIMIT ${limit} OFFSET ${offset}`
+    );
+    
+    // Причины одним запросом для всей страницы
+    const scoreIds = scores.map(score => score.id);
+    const flags = scoreIds.length > 0 ? await db.query(
+        `SELECT score_id as scoreId, reason, details, created_at as flaggedAt
+         FROM flagged_scores
+         WHERE reviewed_at IS NULL AND score_id IN (${scoreIds.map(() => '?').join(', ')})`,
+        scoreIds
+    ) : [];
+    
+    return scores.map(score => ({
+        ...score,
+        flags: flags
+            .filter(flag => flag.scoreId === score.id)
+            .map(({ reason, details, flaggedAt }) => ({ reason, details, flaggedAt })),
+    }));
+}
+
+/**
+ * Все причины проверки результата (и просмотренные)
+ */
+async function getFlags(scoreId) {
+    return db.query(
+        `SELECT reason, details, created_at as flaggedAt, reviewed_at as reviewedAt
+         FROM flagged_scores
+         WHERE score_id = ?
+         ORDER BY created_at`,
+        [scoreId]
+    );
+}
+
+/**
+ * Решение модератора: новый статус, причины проверки отмечаются просмотренными
+ */
+async function setStatus(id, status) {
+    await db.query('UPDATE scores SET status = ? WHERE id = ?', [status, id]);
+    await db.query(
+        'UPDATE flagged_scores SET reviewed_at = CURRENT_TIMESTAMP WHERE score_id = ? AND reviewed_at IS NULL',
+        [id]
+    );
+}
+
+/**
+ * Удалить результат (журнал выстрелов и причины удаляются каскадно)
+ */
+async function remove(id) {
+    await db.query('DELETE FROM scores WHERE id = ?', [id]);
+}
+
+module.exports = {
+    // Результаты игрока
+    create,
+    addFlags,
+    saveEvents,
+    getEvents,
+    getRecentGames,
+    getBestScore,
+    getScoreRank,
+    getPlayerRank,
+    
+    // Таблицы лидеров
+    buildLeaderboardFilters,
+    isStatsLeaderboard,
+    selectBestScores,
+    selectStatsLeaders,
+    countBestScorePlayers,
+    countStatsPlayers,
+    findUserBest,
+    getLeaderboardRank,
+    findLeaderboardRow,
+    
+    // Модерация
+    findById,
+    findForModeration,
+    listForModeration,
+    listFlagged,
+    getFlags,
+    setStatus,
+    remove,
+};
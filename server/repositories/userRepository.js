@@ -0,0 +1,257 @@
+/**
+ * Доступ к игрокам (таблица users)
+ * Поиск, создание и обновление игрока и его суммарная статистика
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+
+/**
+ * Игрок по id
+ * @returns {Promise<object|undefined>} строка users
+ */
+async function findById(id) {
+    const [user] = await db.query('SELECT * FROM users WHERE id = ?', [id]);
+    return user;
+}
+
+/**
+ * Игрок по Telegram ID
+ */
+async function findByTelegramId(telegramId) {
+    const [user] = await db.query('SELECT * FROM users WHERE telegram_id = ?', [telegramId]);
+    return user;
+}
+
+/**
+ * Игрок по гостевой сессии
+ */
+async function findBySessionId(sessionId) {
+    const [user] = await db.query('SELECT * FROM users WHERE session_id = ?', [sessionId]);
+    return user;
+}
+
+/**
+ * Гость по сессии (session_id есть и у игроков из Telegram — они сюда не попадают)
+ */
+async function findGuestBySessionId(sessionId) {
+    const [user] = await db.query(
+        'SELECT * FROM users WHERE session_id = ? AND telegram_id IS NULL',
+        [sessionId]
+    );
+    return user;
+}
+
+/**
+ * Игрок по Telegram ID или гостевой сессии (Telegram ID в приоритете)
+ */
+async function findByIdentity({ telegramId, sessionId }) {
+    if (telegramId) return findByTelegramId(telegramId);
+    if (sessionId) return findBySessionId(sessionId);
+    return undefined;
+}
+
+/**
+ * Создать игрока
+ * Игроку из Telegram выдаётся собственный session_id
+ * @returns {Promise<object>} созданная строка users
+ */
+async function create({ sessionId = crypto.randomUUID(), telegramId = null, username = null }) {
+    const result = await db.query(
+        'INSERT INTO users (session_id, telegram_id, username) VALUES (?, ?, ?)',
+        [sessionId, telegramId, username]
+    );
+    return findById(result.insertId);
+}
+
+/**
+ * Найти или создать игрока
+ * Если игрока только что создал параллельный запрос — возвращаем его
+ * @param {Function} find - поиск существующего игрока
+ * @param {object} fields - поля для create
+ */
+async function findOrCreate(find, fields) {
+    const user = await find();
+    if (user) return { user, created: false };
+    
+    try {
+        return { user: await create(fields), created: true };
+    } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') throw error;
+        return { user: await find(), created: false };
+    }
+}
+
+/**
+ * Найти или создать игрока из Telegram
+ * Имя из Telegram записывается, если у игрока его ещё нет
+ * @param {string|number} telegramId
+ * @param {string|null} username - имя из initData
+ * @returns {Promise<{user: object, created: boolean}>}
+ */
+async function findOrCreateByTelegramId(telegramId, username = null) {
+    const result = await findOrCreate(
+        () => findByTelegramId(telegramId),
+        { telegramId, username }
+    );
+    
+    if (!result.created && !result.user.username && username) {
+        await updateUsername(result.user.id, username);
+        result.user.username = username;
+    }
+    
+    return result;
+}
+
+/**
+ * Найти или создать гостевого игрока
+ * @returns {Promise<{user: object, created: boolean}>}
+ */
+async function findOrCreateBySessionId(sessionId) {
+    return findOrCreate(() => findGuestBySessionId(sessionId), { sessionId });
+}
+
+/**
+ * Занято ли имя другим игроком
+ * @param {number} exceptUserId - игрок, которому имя можно оставить
+ */
+async function isUsernameTaken(username, exceptUserId) {
+    const [existing] = await db.query(
+        'SELECT id FROM users WHERE username = ? AND id <> ?',
+        [username, exceptUserId]
+    );
+    return Boolean(existing);
+}
+
+/**
+ * Сменить имя игрока
+ */
+async function updateUsername(id, username) {
+    await db.query('UPDATE users SET username = ? WHERE id = ?', [username, id]);
+}
+
+/**
+ * Сохранить доверие античита к игроку
+ */
+async function setTrustScore(id, trustScore) {
+    await db.query('UPDATE users SET trust_score = ? WHERE id = ?', [trustScore, id]);
+}
+
+/**
+ * Начислить опыт
+ */
+async function addXp(id, xp) {
+    await db.query('UPDATE users SET xp = xp + ? WHERE id = ?', [xp, id]);
+}
+
+/**
+ * Сменить статус блокировки
+ */
+async function setBanStatus(id, banStatus) {
+    await db.query('UPDATE users SET ban_status = ? WHERE id = ?', [banStatus, id]);
+}
+
+/**
+ * Перенести историю и достижения гостя игроку из Telegram и удалить гостя (в одной транзакции)
+ * Доверие берётся меньшее из двух, опыт складывается, имя гостя переходит, если у игрока его нет
+ * @param {object} guest - строка users гостя
+ * @param {object} user - строка users игрока из Telegram
+ * @returns {Promise<number>} сколько игр перенесено
+ */
+async function mergeGuestInto(guest, user) {
+    const connection = await db.getConnection();
+    
+    try {
+        await connection.beginTransaction();
+        
+        const [moved] = await connection.query(
+            'UPDATE scores SET user_id = ? WHERE user_id = ?',
+            [user.id, guest.id]
+        );
+        
+        // Достижения гостя, которых у игрока ещё нет, переходят к нему
+        const [owned] = await connection.query(
+            'SELECT achievement FROM user_achievements WHERE user_id = ?',
+            [user.id]
+        );
+        const ownedIds = owned.map(row => row.achievement);
+        const notOwned = ownedIds.length > 0
+            ? `AND achievement NOT IN (${ownedIds.map(() => '?').join(', ')})`
+            : '';
+        await connection.query(
+            `UPDATE user_achievements SET user_id = ? WHERE user_id = ? ${notOwned}`,
+            [user.id, guest.id, ...ownedIds]
+        );
+        
+        await connection.query('DELETE FROM users WHERE id = ?', [guest.id]);
+        await connection.query(
+            'UPDATE users SET trust_score = ?, xp = xp + ?, username = COALESCE(username, ?) WHERE id = ?',
+            [Math.min(user.trust_score, guest.trust_score), guest.xp, guest.username, user.id]
+        );
+        
+        await connection.commit();
+        return moved.affectedRows;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Суммарная статистика игрока по всем его играм
+ * SUM() в MySQL возвращает DECIMAL, драйвер отдаёт его строкой — приводим к числам
+ */
+async function getStats(userId) {
+    const [stats] = await db.query(
+        `SELECT
+            COUNT(*) as totalGames,
+            COALESCE(MAX(score), 0) as bestScore,
+            COALESCE(SUM(targets_hit), 0) as totalHits,
+            COALESCE(ROUND(AVG(accuracy) * 100, 1), 0) as avgAccuracy,
+            COALESCE(MAX(max_combo), 0) as bestCombo,
+            COALESCE(SUM(duration_ms), 0) as totalPlaytimeMs
+         FROM scores
+         WHERE user_id = ?`,
+        [userId]
+    );
+    
+    return {
+        totalGames: Number(stats.totalGames),
+        bestScore: Number(stats.bestScore),
+        totalHits: Number(stats.totalHits),
+        avgAccuracy: Number(stats.avgAccuracy),
+        bestCombo: Number(stats.bestCombo),
+        totalPlaytimeMs: Number(stats.totalPlaytimeMs),
+    };
+}
+
+/**
+ * Строка рейтинговой статистики игрока (view user_stats: принятые игры)
+ * У гостей и заблокированных игроков её нет
+ * @returns {Promise<object|undefined>}
+ */
+async function getRankedStats(userId) {
+    const [stats] = await db.query('SELECT * FROM user_stats WHERE user_id = ?', [userId]);
+    return stats;
+}
+
+module.exports = {
+    findById,
+    findByTelegramId,
+    findBySessionId,
+    findGuestBySessionId,
+    findByIdentity,
+    create,
+    findOrCreateByTelegramId,
+    findOrCreateBySessionId,
+    isUsernameTaken,
+    updateUsername,
+    setTrustScore,
+    addXp,
+    setBanStatus,
+    mergeGuestInto,
+    getStats,
+    getRankedStats,
+};
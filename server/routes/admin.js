@@ -0,0 +1,316 @@
+/**
+ * Admin API: модерация результатов и игроков
+ * Все действия записываются в журнал аудита (admin_audit_log)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { PAGINATION, SCORE_STATUS, TRUST, HTTP } = require('../config/constants');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { calculateGameXp } = require('../services/progression');
+const { unlockGameAchievements } = require('../services/achievements');
+const {
+    validateIdParam,
+    validateAdminPageQuery,
+    validateAdminScoresQuery,
+    validateAdminScoreStatus,
+    validateAdminBan,
+    validateAdminRename,
+} = require('../middleware/validation');
+const userRepository = require('../repositories/userRepository');
+const scoreRepository = require('../repositories/scoreRepository');
+const auditRepository = require('../repositories/auditRepository');
+
+router.use(requireAdmin);
+
+/**
+ * Записать действие администратора в журнал аудита
+ * @param {object} req - запрос (req.admin.actor — кто выполнил)
+ * @param {string} action - код действия
+ * @param {string} targetType - score | user
+ * @param {number} targetId - id цели
+ * @param {object} details - подробности (было/стало, причина)
+ */
+async function writeAuditLog(req, action, targetType, targetId, details = null) {
+    await auditRepository.create({ actor: req.admin.actor, action, targetType, targetId, details });
+    console.log(`🛡️ Admin ${req.admin.actor}: ${action} ${targetType} #${targetId}`);
+}
+
+/**
+ * Безопасные limit/offset для списков (значения уже провалидированы)
+ */
+function getPage(queryParams) {
+    return {
+        limit: queryParams.limit || PAGINATION.DEFAULT_LIMIT * 5,
+        offset: queryParams.offset || 0,
+    };
+}
+
+/**
+ * GET /api/admin/scores
+ * Последние результаты (фильтры: status, userId)
+ */
+router.get('/scores', validateAdminScoresQuery, async (req, res, next) => {
+    try {
+        const { status, userId } = req.query;
+        const { limit, offset } = getPage(req.query);
+        
+        const scores = await scoreRepository.listForModeration({ status, userId, limit, offset });
+        
+        res.json({
+            success: true,
+            data: { scores, limit, offset },
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/scores/flagged
+ * Очередь проверки: результаты с непросмотренными причинами
+ */
+router.get('/scores/flagged', validateAdminPageQuery, async (req, res, next) => {
+    try {
+        const { limit, offset } = getPage(req.query);
+        
+        const scores = await scoreRepository.listFlagged({ limit, offset });
+        
+        res.json({
+            success: true,
+            data: { scores, limit, offset },
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/scores/:id
+ * Результат с причинами проверки и журналом выстрелов
+ */
+router.get('/scores/:id', validateIdParam, async (req, res, next) => {
+    try {
+        const score = await scoreRepository.findForModeration(req.params.id);
+        
+        if (!score) {
+            return res.status(HTTP.NOT_FOUND).json({
+                success: false,
+                error: 'Результат не найден',
+            });
+        }
+        
+        const [flags, events] = await Promise.all([
+            scoreRepository.getFlags(score.id),
+            scoreRepository.getEvents(score.id),
+        ]);
+        
+        res.json({
+            success: true,
+            data: { ...score, flags, events },
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/admin/scores/:id/status
+ * Решение по результату: approved (принять), rejected (отклонить), hidden (скрыть)
+ * Решение по результату из очереди проверки меняет доверие к игроку,
+ * принятый из очереди результат приносит игроку опыт и открывает достижения
+ */
+router.put('/scores/:id/status', validateAdminScoreStatus, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { status } = req.body;
+        
+        const score = await scoreRepository.findForModeration(id);
+        
+        if (!score) {
+            return res.status(HTTP.NOT_FOUND).json({
+                success: false,
+                error: 'Результат не найден',
+            });
+        }
+        
+        await scoreRepository.setStatus(id, status);
+        
+        // Проверка результата из очереди влияет на доверие к игроку
+        let { trustScore } = score;
+        if (score.status === SCORE_STATUS.PENDING && status !== SCORE_STATUS.HIDDEN) {
+            const delta = status === SCORE_STATUS.APPROVED
+                ? TRUST.REVIEW_APPROVE_BONUS
+                : -TRUST.REVIEW_REJECT_PENALTY;
+            trustScore = Math.min(TRUST.MAX, Math.max(TRUST.MIN, trustScore + delta));
+            await userRepository.setTrustScore(score.userId, trustScore);
+            
+            // Опыт и достижения за игру, задержанную на проверке, — при принятии
+            // (user_stats читается уже после смены статуса и учитывает эту игру)
+            if (status === SCORE_STATUS.APPROVED) {
+                await userRepository.addXp(score.userId, calculateGameXp(score));
+                
+                const game = await scoreRepository.findById(id);
+                await unlockGameAchievements(score.userId, {
+                    score: game.score,
+                    targetsHit: game.targets_hit,
+                    shotsFired: game.shots_fired,
+                    accuracy: Number(game.accuracy),
+                    maxCombo: game.max_combo,
+                    gameMode: game.game_mode,
+                    wave: game.wave,
+                }, game.id);
+            }
+        }
+        
+        await writeAuditLog(req, 'score.status', 'score', id, {
+            from: score.status,
+            to: status,
+            userId: score.userId,
+            trustScore,
+        });
+        
+        res.json({
+            success: true,
+            data: { id, status, userId: score.userId, trustScore },
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/admin/scores/:id
+ * Удалить результат (журнал выстрелов и причины удаляются каскадно)
+ */
+router.delete('/scores/:id', validateIdParam, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        
+        const score = await scoreRepository.findById(id);
+        
+        if (!score) {
+            return res.status(HTTP.NOT_FOUND).json({
+                success: false,
+                error: 'Результат не найден',
+            });
+        }
+        
+        await scoreRepository.remove(id);
+        
+        // Снимок удалённого результата остаётся в журнале аудита
+        await writeAuditLog(req, 'score.delete', 'score', id, {
+            userId: score.user_id,
+            score: score.score,
+            gameMode: score.game_mode,
+            status: score.status,
+            playedAt: score.created_at,
+        });
+        
+        res.json({
+            success: true,
+            data: { id },
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/admin/users/:id/ban
+ * Блокировка: banned (результаты не принимаются), shadow (теневой бан), active (снять)
+ * Заблокированные и теневые игроки исключены из всех рейтингов
+ */
+router.put('/users/:id/ban', validateAdminBan, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { status, reason = null } = req.body;
+        
+        const user = await userRepository.findById(id);
+        
+        if (!user) {
+            return res.status(HTTP.NOT_FOUND).json({
+                success: false,
+                error: 'Пользователь не найден',
+            });
+        }
+        
+        await userRepository.setBanStatus(id, status);
+        
+        await writeAuditLog(req, 'user.ban', 'user', id, {
+            from: user.ban_status,
+            to: status,
+            reason,
+        });
+        
+        res.json({
+            success: true,
+            data: { id, banStatus: status },
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/admin/users/:id/username
+ * Переименовать игрока (оскорбительные имена)
+ */
+router.put('/users/:id/username', validateAdminRename, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { username } = req.body;
+        
+        const user = await userRepository.findById(id);
+        
+        if (!user) {
+            return res.status(HTTP.NOT_FOUND).json({
+                success: false,
+                error: 'Пользователь не найден',
+            });
+        }
+        
+        await userRepository.updateUsername(id, username);
+        
+        await writeAuditLog(req, 'user.rename', 'user', id, {
+            from: user.username,
+            to: username,
+        });
+        
+        res.json({
+            success: true,
+            data: { id, username },
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/audit
+ * Журнал действий администраторов
+ */
+router.get('/audit', validateAdminPageQuery, async (req, res, next) => {
+    try {
+        const { limit, offset } = getPage(req.query);
+        
+        const entries = await auditRepository.list({ limit, offset });
+        
+        res.json({
+            success: true,
+            data: { entries, limit, offset },
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -4,17 +4,19 @@
 
 const express = require('express');
 const router = express.Router();
-const db = require('../config/database');
-const { HTTP } = require('../config/constants');
+const { HTTP, AUTH_ERRORS, BAN_STATUS } = require('../config/constants');
 const { 
     telegramAuthMiddleware,
     extractTelegramUser,
-    verifyTelegramWebAppData 
+    validateInitData 
 } = require('../middleware/telegramAuth');
+const { signAuthToken, requirePlayer } = require('../middleware/userAuth');
+const userRepository = require('../repositories/userRepository');
 
 /**
  * POST /api/auth/telegram
  * Аутентификация через Telegram Web App
+ * Выдаёт токен сессии: дальше клиент передаёт его в заголовке Authorization: Bearer
  */
 router.post('/telegram', async (req, res, next) => {
     try {
@@ -39,10 +41,14 @@ router.post('/telegram', async (req, res, next) => {
                 });
             }
             
-            if (!verifyTelegramWebAppData(initData, botToken)) {
+            // Подпись, срок действия и одноразовость initData
+            const authError = validateInitData(initData, botToken);
+            
+            if (authError) {
                 return res.status(HTTP.UNAUTHORIZED).json({
                     success: false,
-                    error: 'Invalid Telegram data',
+                    error: authError.error,
+                    code: authError.code,
                 });
             }
         }
@@ -58,46 +64,19 @@ router.post('/telegram', async (req, res, next) => {
         }
         
         // Находим или создаём пользователя
-        let [user] = await db.query(
-            'SELECT * FROM users WHERE telegram_id = ?',
-            [telegramUser.telegramId]
+        const { user, created } = await userRepository.findOrCreateByTelegramId(
+            telegramUser.telegramId,
+            telegramUser.username
         );
         
-        if (!user) {
-            // Создаём нового пользователя
-            const result = await db.query(
-                `INSERT INTO users (telegram_id, username, session_id) 
-                 VALUES (?, ?, UUID())
-                 ON DUPLICATE KEY UPDATE 
-                 username = VALUES(username),
-                 updated_at = CURRENT_TIMESTAMP`,
-                [telegramUser.telegramId, telegramUser.username]
-            );
-            
-            [user] = await db.query(
-                'SELECT * FROM users WHERE telegram_id = ?',
-                [telegramUser.telegramId]
-            );
-        } else {
-            // Обновляем username если изменился
-            if (telegramUser.username && telegramUser.username !== user.username) {
-                await db.query(
-                    'UPDATE users SET username = ? WHERE telegram_id = ?',
-                    [telegramUser.username, telegramUser.telegramId]
-                );
-            }
+        // Обновляем username если изменился
+        if (!created && telegramUser.username && telegramUser.username !== user.username) {
+            await userRepository.updateUsername(user.id, telegramUser.username);
         }
         
         // Получаем статистику пользователя
-        const [stats] = await db.query(
-            `SELECT 
-                COUNT(*) as totalGames,
-                COALESCE(MAX(score), 0) as bestScore,
-                COALESCE(SUM(targets_hit), 0) as totalHits
-             FROM scores 
-             WHERE user_id = ?`,
-            [user.id]
-        );
+        const stats = await userRepository.getStats(user.id);
+        const { token, expiresAt } = signAuthToken(user);
         
         res.json({
             success: true,
@@ -106,7 +85,9 @@ router.post('/telegram', async (req, res, next) => {
                 telegramId: telegramUser.telegramId,
                 username: telegramUser.username || user.username,
                 firstName: telegramUser.firstName,
-                stats: stats || { totalGames: 0, bestScore: 0, totalHits: 0 },
+                stats,
+                token,
+                expiresAt: new Date(expiresAt).toISOString(),
             },
         });
         
@@ -140,22 +121,14 @@ router.post('/dev', async (req, res, next) => {
         }
         
         // Находим или создаём dev-пользователя
-        let [user] = await db.query(
-            'SELECT * FROM users WHERE session_id = ?',
-            [sessionId]
-        );
+        let user = await userRepository.findBySessionId(sessionId);
         
         if (!user) {
-            const result = await db.query(
-                `INSERT INTO users (session_id, telegram_id, username) 
-                 VALUES (?, ?, ?)`,
-                [sessionId, mockTelegramId || 999999999, 'dev_user']
-            );
-            
-            [user] = await db.query(
-                'SELECT * FROM users WHERE session_id = ?',
-                [sessionId]
-            );
+            user = await userRepository.create({
+                sessionId,
+                telegramId: mockTelegramId || 999999999,
+                username: 'dev_user',
+            });
         }
         
         res.json({
@@ -175,33 +148,31 @@ router.post('/dev', async (req, res, next) => {
 
 /**
  * GET /api/auth/me
- * Получить текущего пользователя
+ * Получить текущего пользователя: игрока из токена сессии
+ * или гостя по его sessionId (чужого игрока по telegramId не отдаём)
  */
 router.get('/me', async (req, res, next) => {
     try {
-        const telegramId = req.query.telegramId;
-        const sessionId = req.query.sessionId;
+        const { sessionId } = req.query;
         
-        if (!telegramId && !sessionId) {
-            return res.status(HTTP.BAD_REQUEST).json({
+        // Неверный или истёкший токен сессии (authenticate пропускает его для публичных запросов)
+        if (req.authError) {
+            return res.status(HTTP.UNAUTHORIZED).json({
                 success: false,
-                error: 'telegramId or sessionId required',
+                ...req.authError,
             });
         }
         
-        let user;
-        if (telegramId) {
-            [user] = await db.query(
-                'SELECT * FROM users WHERE telegram_id = ?',
-                [telegramId]
-            );
-        } else {
-            [user] = await db.query(
-                'SELECT * FROM users WHERE session_id = ?',
-                [sessionId]
-            );
+        if (!req.user && !sessionId) {
+            return res.status(HTTP.UNAUTHORIZED).json({
+                success: false,
+                error: 'Authorization required',
+                code: AUTH_ERRORS.REQUIRED,
+            });
         }
         
+        const user = req.user || await userRepository.findBySessionId(sessionId);
+        
         if (!user) {
             return res.status(HTTP.NOT_FOUND).json({
                 success: false,
@@ -210,16 +181,7 @@ router.get('/me', async (req, res, next) => {
         }
         
         // Статистика
-        const [stats] = await db.query(
-            `SELECT 
-                COUNT(*) as totalGames,
-                COALESCE(MAX(score), 0) as bestScore,
-                COALESCE(SUM(targets_hit), 0) as totalHits,
-                COALESCE(MAX(max_combo), 0) as bestCombo
-             FROM scores 
-             WHERE user_id = ?`,
-            [user.id]
-        );
+        const stats = await userRepository.getStats(user.id);
         
         res.json({
             success: true,
@@ -227,7 +189,76 @@ router.get('/me', async (req, res, next) => {
                 userId: user.id,
                 telegramId: user.telegram_id,
                 username: user.username,
-                stats: stats || {},
+                stats,
+            },
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/merge
+ * Перенести историю гостя (sessionId из localStorage) в аккаунт игрока из Telegram
+ * Гостевая запись удаляется: её результаты теперь идут в рейтинги от имени игрока
+ */
+router.post('/merge', requirePlayer, async (req, res, next) => {
+    try {
+        const { sessionId } = req.body;
+        
+        // requirePlayer пропускает и гостей — объединять можно только в аккаунт Telegram
+        if (!req.user) {
+            return res.status(HTTP.UNAUTHORIZED).json({
+                success: false,
+                error: 'Authorization required',
+                code: AUTH_ERRORS.REQUIRED,
+            });
+        }
+        
+        if (!sessionId) {
+            return res.status(HTTP.BAD_REQUEST).json({
+                success: false,
+                error: 'sessionId is required',
+            });
+        }
+        
+        const guest = await userRepository.findBySessionId(sessionId);
+        
+        if (!guest) {
+            return res.status(HTTP.NOT_FOUND).json({
+                success: false,
+                error: 'Guest session not found',
+            });
+        }
+        
+        // session_id есть и у игроков из Telegram — чужой аккаунт не присоединяется
+        if (guest.telegram_id) {
+            return res.status(HTTP.CONFLICT).json({
+                success: false,
+                error: 'Session belongs to a Telegram account',
+            });
+        }
+        
+        // Иначе результаты заблокированного гостя попали бы в рейтинги
+        if (guest.ban_status !== BAN_STATUS.ACTIVE) {
+            return res.status(HTTP.FORBIDDEN).json({
+                success: false,
+                error: 'Guest session is banned',
+            });
+        }
+        
+        const mergedGames = await userRepository.mergeGuestInto(guest, req.user);
+        console.log(`🔗 Гость #${guest.id} объединён с игроком #${req.user.id}: ${mergedGames} игр`);
+        
+        const stats = await userRepository.getStats(req.user.id);
+        
+        res.json({
+            success: true,
+            data: {
+                userId: req.user.id,
+                mergedGames,
+                stats,
             },
         });
         
@@ -0,0 +1,59 @@
+/**
+ * API маршруты игровых сессий
+ */
+
+const express = require('express');
+const router = express.Router();
+const { HTTP } = require('../config/constants');
+const { validateGameStart } = require('../middleware/validation');
+const { startGameSession } = require('../middleware/gameSession');
+const { requirePlayer, getPlayerIdentity } = require('../middleware/userAuth');
+const { getWeaponLock } = require('../services/progression');
+const userRepository = require('../repositories/userRepository');
+
+/**
+ * POST /api/games/start
+ * Начать игру: выдаёт одноразовый токен с серверным временем начала
+ * Токен передаётся в POST /api/scores вместе с результатом
+ * Игрок из Telegram — по bearer-токену, гость — по sessionId
+ * Оружие, не открытое на уровне игрока, — 403 (code: WEAPON_LOCKED)
+ */
+router.post('/start', requirePlayer, validateGameStart, async (req, res, next) => {
+    try {
+        const { gameMode = 'endless', weapon = 'pistol' } = req.body;
+        const identity = getPlayerIdentity(req);
+        
+        // Новый гость ещё не записан в users — у него нет опыта
+        const user = req.user || await userRepository.findGuestBySessionId(identity.sessionId);
+        const weaponLock = getWeaponLock(weapon, user ? user.xp : 0);
+        
+        if (weaponLock) {
+            return res.status(HTTP.FORBIDDEN).json({
+                success: false,
+                ...weaponLock,
+            });
+        }
+        
+        const { gameId, gameToken, startedAt } = await startGameSession({
+            ...identity,
+            gameMode,
+            weapon,
+        });
+        
+        console.log('🎮 Игра начата:', gameId, 'mode:', gameMode, 'weapon:', weapon);
+        
+        res.status(HTTP.CREATED).json({
+            success: true,
+            data: {
+                gameId,
+                gameToken,
+                startedAt: new Date(startedAt).toISOString(),
+            },
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
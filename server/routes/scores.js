@@ -4,156 +4,212 @@
 
 const express = require('express');
 const router = express.Router();
-const db = require('../config/database');
-const { PAGINATION, HTTP } = require('../config/constants');
+const { PAGINATION, SCORE_STATUS, BAN_STATUS, HTTP } = require('../config/constants');
 const { 
     validateGameResult, 
-    validateLeaderboardQuery 
+    validateLeaderboardQuery,
+    validateLeaderboardAroundQuery,
 } = require('../middleware/validation');
 const { createScoreLimiter } = require('../middleware/security');
+const { requireGameSession } = require('../middleware/gameSession');
+const { requirePlayer, requireAuthToken } = require('../middleware/userAuth');
+const { verifyGameResult } = require('../services/replay');
+const { assessGameResult, getNextTrustScore } = require('../services/antiCheat');
+const { unlockGameAchievements, listAchievements } = require('../services/achievements');
+const {
+    calculateGameXp,
+    getLevel,
+    getWeaponLock,
+    getUnlockedWeapons,
+    describeProgression,
+} = require('../services/progression');
+const userRepository = require('../repositories/userRepository');
+const scoreRepository = require('../repositories/scoreRepository');
+const achievementRepository = require('../repositories/achievementRepository');
 
 /**
  * POST /api/scores
  * Сохранить результат игры
- * Поддерживает аутентификацию через Telegram ID или Session ID
+ * Игрок из Telegram — по bearer-токену или подписанному initData,
+ * гость — по Session ID (результаты гостя не попадают в рейтинги)
+ * Требует gameToken из POST /api/games/start, длительность считается сервером
  */
 // Временно убрали createScoreLimiter() для отладки
-router.post('/', validateGameResult, async (req, res, next) => {
+router.post('/', requirePlayer, requireGameSession, validateGameResult, async (req, res, next) => {
     try {
         // Логируем входящие данные (без sensitive)
         const logBody = { ...req.body };
         delete logBody.initData;
+        delete logBody.gameToken;
+        delete logBody.events;
         console.log('📥 POST /api/scores:', JSON.stringify(logBody));
         
         const { 
             sessionId,
-            telegramId,  // Новое: Telegram ID
-            initData,    // Новое: для верификации
             score, 
             targetsHit, 
             shotsFired, 
             maxCombo, 
             durationMs,
-            gameMode = 'endless'
+            gameMode = 'endless',
+            weapon = 'pistol',
+            livesLost = null,
+            wave = null,
+            events,
         } = req.body;
         
-        console.log('🔍 Auth data: telegramId=', telegramId, 'sessionId=', sessionId ? 'yes' : 'no');
+        console.log('🔍 Auth data: userId=', req.user ? req.user.id : 'none', 'sessionId=', sessionId ? 'yes' : 'no');
         
-        // Вычисляем accuracy
-        const accuracy = shotsFired > 0 ? targetsHit / shotsFired : 0;
+        // Пересчитываем результат по журналу выстрелов
+        const replay = verifyGameResult(
+            { score, targetsHit, shotsFired, maxCombo },
+            events,
+            { weapon, gameMode, durationMs }
+        );
+        if (!replay.valid) {
+            console.warn('❌ Античит: журнал выстрелов —', replay.error, replay.derived || '');
+            return res.status(HTTP.BAD_REQUEST).json({
+                success: false,
+                error: replay.error,
+            });
+        }
         
-        let userId;
-        let user;
+        // Точность — доля выстрелов с попаданием (дробью можно поразить несколько дисков)
+        const accuracy = shotsFired > 0 ? replay.derived.shotsHit / shotsFired : 0;
         
-        // Приоритет 1: Telegram ID
-        if (telegramId) {
-            console.log('🔍 Looking up user by telegramId:', telegramId);
-            const users = await db.query(
-                'SELECT id, username FROM users WHERE telegram_id = ?',
-                [telegramId]
-            );
-            user = users[0];
-            console.log('🔍 Found user:', user);
-            
-            if (!user) {
-                // Создаём пользователя по Telegram ID
-                console.log('📝 Creating new user for telegramId:', telegramId);
-                
-                // Извлекаем username из initData
-                let username = null;
-                if (initData) {
-                    try {
-                        const urlParams = new URLSearchParams(initData);
-                        const userJson = urlParams.get('user');
-                        if (userJson) {
-                            const tgUser = JSON.parse(userJson);
-                            username = tgUser.username || tgUser.first_name || null;
-                        }
-                    } catch (e) {}
-                }
-                
-                const result = await db.query(
-                    'INSERT INTO users (telegram_id, session_id, username) VALUES (?, UUID(), ?)',
-                    [telegramId, username]
-                );
-                userId = result.insertId;
-                console.log('✅ Created user with id:', userId, 'username:', username);
-            } else {
-                userId = user.id;
-                console.log('✅ Using existing user:', userId);
-                
-                // Обновляем username если пустой
-                if (!user.username && initData) {
-                    try {
-                        const urlParams = new URLSearchParams(initData);
-                        const userJson = urlParams.get('user');
-                        if (userJson) {
-                            const tgUser = JSON.parse(userJson);
-                            const username = tgUser.username || tgUser.first_name || null;
-                            if (username) {
-                                await db.query('UPDATE users SET username = ? WHERE id = ?', [username, userId]);
-                                console.log('✅ Updated username:', username);
-                            }
-                        }
-                    } catch (e) {}
-                }
-            }
-        }
-        // Приоритет 2: Session ID
-        else if (sessionId) {
+        // Игрок из токена (Telegram) или гость по Session ID (requirePlayer гарантирует одно из двух)
+        let user = req.user;
+        if (!user) {
             console.log('🔍 Looking up user by sessionId');
-            const users = await db.query(
-                'SELECT id FROM users WHERE session_id = ?',
-                [sessionId]
-            );
-            user = users[0];
-            
-            if (!user) {
-                const result = await db.query(
-                    'INSERT INTO users (session_id) VALUES (?)',
-                    [sessionId]
-                );
-                userId = result.insertId;
-            } else {
-                userId = user.id;
-            }
-        } else {
-            console.log('❌ No auth data provided!');
-            return res.status(HTTP.BAD_REQUEST).json({
+            ({ user } = await userRepository.findOrCreateBySessionId(sessionId));
+        }
+        
+        const userId = user.id;
+        const { trust_score: trustScore, ban_status: banStatus } = user;
+        
+        // Результаты попадают в рейтинги только у игроков из Telegram (личность подтверждена)
+        const isRanked = Boolean(user.telegram_id);
+        
+        console.log('💾 Saving score for userId:', userId, 'score:', score);
+        
+        // Жизни и волна имеют смысл только в режиме выживания
+        const isSurvival = gameMode === 'survival';
+        
+        // Заблокированный игрок не может сохранять результаты
+        // (теневой бан об этом не сообщает — результаты просто не видны в рейтингах)
+        if (banStatus === BAN_STATUS.BANNED) {
+            console.warn('⛔ Результат от заблокированного игрока:', userId);
+            return res.status(HTTP.FORBIDDEN).json({
                 success: false,
-                error: 'telegramId or sessionId required',
+                error: 'Пользователь заблокирован',
             });
         }
         
-        console.log('💾 Saving score for userId:', userId, 'score:', score);
+        // Токен выдаётся только под открытое оружие, но проверяем и здесь
+        const weaponLock = getWeaponLock(weapon, user.xp);
+        if (weaponLock) {
+            console.warn('⛔ Результат с закрытым оружием:', weapon, 'userId:', userId);
+            return res.status(HTTP.FORBIDDEN).json({
+                success: false,
+                ...weaponLock,
+            });
+        }
+        
+        // Античит: подозрительный результат сохраняем скрытым до проверки
+        const flags = assessGameResult({ score, targetsHit, durationMs }, trustScore);
+        const status = flags.length > 0 ? SCORE_STATUS.PENDING : SCORE_STATUS.APPROVED;
+        const isApproved = status === SCORE_STATUS.APPROVED;
+        
+        // Рекорд до этой игры (в рейтинге её режима)
+        const previousBest = await scoreRepository.getBestScore(userId, gameMode);
+        const isPersonalBest = isApproved && score > 0 && (previousBest === null || score > previousBest);
+        const bestScore = Math.max(previousBest || 0, isApproved ? score : 0);
         
         // Сохраняем результат
-        const result = await db.query(
-            `INSERT INTO scores 
-             (user_id, score, targets_hit, shots_fired, accuracy, max_combo, duration_ms, game_mode) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-            [userId, score, targetsHit, shotsFired, accuracy, maxCombo, durationMs, gameMode]
-        );
+        const scoreId = await scoreRepository.create({
+            userId,
+            score,
+            targetsHit,
+            shotsFired,
+            accuracy,
+            maxCombo,
+            durationMs,
+            gameMode,
+            weapon,
+            livesLost: isSurvival ? livesLost : null,
+            wave: isSurvival ? wave : null,
+            status,
+        });
         
-        console.log('✅ Score saved with id:', result.insertId);
+        console.log('✅ Score saved with id:', scoreId, 'status:', status);
         
-        // Получаем позицию в рейтинге
-        const [rankResult] = await db.query(
-            `SELECT COUNT(*) + 1 as \`rank\` 
-             FROM scores 
-             WHERE score > ?`,
-            [score]
-        );
+        // Причины проверки — в очередь модерации
+        await scoreRepository.addFlags(scoreId, flags);
+        if (flags.length > 0) {
+            console.warn('🚩 Результат на проверке:', flags.map(flag => flag.reason).join(', '));
+        }
+        
+        const nextTrustScore = getNextTrustScore(trustScore, flags);
+        if (nextTrustScore !== trustScore) {
+            await userRepository.setTrustScore(userId, nextTrustScore);
+        }
+        
+        // Журнал выстрелов храним для последующего разбора
+        await scoreRepository.saveEvents(scoreId, events);
+        
+        // Опыт — за принятую игру (результат на проверке получит его после принятия)
+        const xpGained = isApproved ? calculateGameXp({ score, targetsHit, shotsFired }) : 0;
+        if (xpGained > 0) {
+            await userRepository.addXp(userId, xpGained);
+        }
+        const previousLevel = getLevel(user.xp);
+        const progression = describeProgression(user.xp + xpGained);
+        
+        // Оружие, открытое этой игрой
+        const wasUnlocked = getUnlockedWeapons(previousLevel);
+        const unlockedWeapons = getUnlockedWeapons(progression.level)
+            .filter(weaponId => !wasUnlocked.includes(weaponId));
+        
+        // Результат на проверке достижений не открывает
+        const achievements = isApproved
+            ? await unlockGameAchievements(userId, { score, targetsHit, shotsFired, accuracy, maxCombo, gameMode, wave }, scoreId)
+            : [];
+        
+        // Позиции в рейтинге: этой игры и лучшего результата игрока
+        // (один результат на игрока — как в таблице лидеров и профиле)
+        // Для результата на проверке gameRank — место, которое он займёт после принятия
+        // Гости в рейтингах не участвуют — мест у них нет
+        let gameRank = null;
+        let bestRank = null;
+        if (isRanked) {
+            gameRank = await scoreRepository.getScoreRank(score, gameMode, userId);
+            bestRank = isPersonalBest ? gameRank : await scoreRepository.getScoreRank(bestScore, gameMode, userId);
+        }
         
         res.status(HTTP.CREATED).json({
             success: true,
             data: {
-                scoreId: result.insertId,
-                rank: rankResult?.rank || 1,
+                scoreId,
+                status,
+                ranked: isRanked,
+                rank: bestRank,
+                gameRank,
+                bestRank,
+                isPersonalBest,
+                previousBest,
+                bestScore,
                 score,
                 targetsHit,
                 accuracy: Math.round(accuracy * 100),
                 maxCombo,
+                ...(isSurvival && { livesLost, wave }),
+                achievements,
+                progression: {
+                    ...progression,
+                    xpGained,
+                    leveledUp: progression.level > previousLevel,
+                    unlockedWeapons,
+                },
             },
         });
         
@@ -174,95 +230,43 @@ function getSafeInt(value, defaultVal, min, max) {
     return num;
 }
 
+/**
+ * Описание текущего периода для ответа API
+ */
+function formatPeriod(filters) {
+    const { period, bounds } = filters;
+    return {
+        name: period,
+        startsAt: bounds ? bounds.startsAt.toISOString() : null,
+        resetsAt: bounds ? bounds.resetsAt.toISOString() : null,
+    };
+}
+
 /**
  * GET /api/scores/leaderboard
  * Получить таблицу лидеров (лучший результат каждого игрока)
  */
 router.get('/leaderboard', validateLeaderboardQuery, async (req, res, next) => {
     try {
-        // Whitelist для типов рейтинга (защита от SQL-инъекций)
-        const ALLOWED_TYPES = ['score', 'hits', 'accuracy'];
-        const type = ALLOWED_TYPES.includes(req.query.type) ? req.query.type : 'score';
-        
         // Безопасные числовые значения
         const limitNum = getSafeInt(req.query.limit, PAGINATION.DEFAULT_LIMIT, 1, PAGINATION.MAX_LIMIT);
         const offsetNum = getSafeInt(req.query.offset, 0, 0, 100000);
         
         let leaders;
+        let total;
+        let period;
         
-        // Базовый SELECT для всех запросов
-        const selectFields = `
-            s.id,
-            COALESCE(u.username, CONCAT('Игрок #', u.id)) as username,
-            s.score,
-            s.targets_hit as targetsHit,
-            ROUND(s.accuracy * 100, 1) as accuracy,
-            s.max_combo as maxCombo,
-            s.duration_ms as durationMs,
-            s.game_mode as gameMode,
-            s.created_at as playedAt
-        `;
-        
-        // Разные запросы для разных типов рейтинга - лучший результат каждого игрока
-        // LIMIT и OFFSET безопасно интерполируются (уже провалидированы getSafeInt)
-        if (type === 'score') {
-            leaders = await db.query(
-                `SELECT ${selectFields}
-                 FROM scores s
-                 INNER JOIN users u ON s.user_id = u.id
-                 WHERE s.id = (
-                     SELECT s2.id FROM scores s2 
-                     WHERE s2.user_id = s.user_id 
-                     ORDER BY s2.score DESC, s2.created_at DESC 
-                     LIMIT 1
-                 )
-                 ORDER BY s.score DESC
-                 LIMIT ${limitNum} OFFSET ${offsetNum}`
-            );
-        } else if (type === 'hits') {
-            leaders = await db.query(
-                `SELECT ${selectFields}
-                 FROM scores s
-                 INNER JOIN users u ON s.user_id = u.id
-                 WHERE s.id = (
-                     SELECT s2.id FROM scores s2 
-                     WHERE s2.user_id = s.user_id 
-                     ORDER BY s2.targets_hit DESC, s2.created_at DESC 
-                     LIMIT 1
-                 )
-                 ORDER BY s.targets_hit DESC
-                 LIMIT ${limitNum} OFFSET ${offsetNum}`
-            );
-        } else if (type === 'accuracy') {
-            leaders = await db.query(
-                `SELECT ${selectFields}
-                 FROM scores s
-                 INNER JOIN users u ON s.user_id = u.id
-                 WHERE s.shots_fired >= 10
-                 AND s.id = (
-                     SELECT s2.id FROM scores s2 
-                     WHERE s2.user_id = s.user_id AND s2.shots_fired >= 10
-                     ORDER BY s2.accuracy DESC, s2.created_at DESC 
-                     LIMIT 1
-                 )
-                 ORDER BY s.accuracy DESC
-                 LIMIT ${limitNum} OFFSET ${offsetNum}`
-            );
+        if (scoreRepository.isStatsLeaderboard(req.query.type)) {
+            leaders = await scoreRepository.selectStatsLeaders(req.query.type, { limit: limitNum, offset: offsetNum });
+            total = await scoreRepository.countStatsPlayers();
+            period = formatPeriod({ period: 'all', bounds: null });
         } else {
-            // Fallback - по очкам (не должен достигаться из-за whitelist выше)
-            leaders = await db.query(
-                `SELECT ${selectFields}
-                 FROM scores s
-                 INNER JOIN users u ON s.user_id = u.id
-                 WHERE s.id = (
-                     SELECT s2.id FROM scores s2 
-                     WHERE s2.user_id = s.user_id 
-                     ORDER BY s2.score DESC, s2.created_at DESC 
-                     LIMIT 1
-                 )
-                 ORDER BY s.score DESC
-                 LIMIT ${limitNum} OFFSET ${offsetNum}`
-            );
+            const filters = scoreRepository.buildLeaderboardFilters(req.query);
+            leaders = await scoreRepository.selectBestScores(filters, { limit: limitNum, offset: offsetNum });
+            
+            // Общее количество уникальных игроков
+            total = await scoreRepository.countBestScorePlayers(filters);
+            period = formatPeriod(filters);
         }
         
         // Добавляем rank
@@ -271,14 +275,11 @@ router.get('/leaderboard', validateLeaderboardQuery, async (req, res, next) => {
             ...leader,
         }));
         
-        // Получаем общее количество уникальных игроков
-        const [countResult] = await db.query('SELECT COUNT(DISTINCT user_id) as total FROM scores');
-        const total = countResult?.total || 0;
-        
         res.json({
             success: true,
             data: {
                 leaders: rankedLeaders,
+                period,
                 pagination: {
                     total,
                     limit: limitNum,
@@ -294,118 +295,82 @@ router.get('/leaderboard', validateLeaderboardQuery, async (req, res, next) => {
 });
 
 /**
- * GET /api/scores/user/telegram/:telegramId
- * Получить статистику пользователя по Telegram ID
+ * GET /api/scores/leaderboard/around
+ * Окно рейтинга вокруг игрока: range игроков выше и ниже его лучшего результата
+ * Принимает те же фильтры, что и /leaderboard, плюс telegramId или sessionId
  */
-router.get('/user/telegram/:telegramId', async (req, res, next) => {
+router.get('/leaderboard/around', validateLeaderboardAroundQuery, async (req, res, next) => {
     try {
-        const { telegramId } = req.params;
+        const { telegramId, sessionId } = req.query;
         
-        // Валидация telegramId (число)
-        if (!/^\d+$/.test(telegramId)) {
+        if (!telegramId && !sessionId) {
             return res.status(HTTP.BAD_REQUEST).json({
                 success: false,
-                error: 'Некорректный telegramId',
+                error: 'telegramId or sessionId required',
             });
         }
         
-        // Получаем пользователя
-        let [user] = await db.query(
-            'SELECT id, username, created_at FROM users WHERE telegram_id = ?',
-            [telegramId]
-        );
-        
-        // Если пользователь не найден — создаём его
-        if (!user) {
-            // Пытаемся получить username из initData
-            let username = null;
-            if (req.body.initData) {
-                try {
-                    const urlParams = new URLSearchParams(req.body.initData);
-                    const userJson = urlParams.get('user');
-                    if (userJson) {
-                        const tgUser = JSON.parse(userJson);
-                        username = tgUser.username || tgUser.first_name || null;
-                    }
-                } catch (e) {}
-            }
-            
-            const result = await db.query(
-                'INSERT INTO users (telegram_id, session_id, username) VALUES (?, UUID(), ?)',
-                [telegramId, username]
-            );
-            [user] = await db.query(
-                'SELECT id, username, created_at FROM users WHERE id = ?',
-                [result.insertId]
-            );
+        // Окно строится по строкам scores, для суммарных рейтингов его нет
+        if (scoreRepository.isStatsLeaderboard(req.query.type)) {
+            return res.status(HTTP.BAD_REQUEST).json({
+                success: false,
+                error: `Type ${req.query.type} is not supported for around`,
+            });
         }
-        // Обновляем username если он пустой
-        else if (!user.username && req.body.initData) {
-            try {
-                const urlParams = new URLSearchParams(req.body.initData);
-                const userJson = urlParams.get('user');
-                if (userJson) {
-                    const tgUser = JSON.parse(userJson);
-                    const username = tgUser.username || tgUser.first_name || null;
-                    if (username) {
-                        await db.query('UPDATE users SET username = ? WHERE id = ?', [username, user.id]);
-                    }
-                }
-            } catch (e) {}
+        
+        const filters = scoreRepository.buildLeaderboardFilters(req.query);
+        const { sort } = filters;
+        const range = getSafeInt(req.query.range, PAGINATION.AROUND_DEFAULT_RANGE, 1, PAGINATION.AROUND_MAX_RANGE);
+        
+        const user = await userRepository.findByIdentity({ telegramId, sessionId });
+        
+        // Лучший результат игрока с учётом фильтров
+        const best = user ? await scoreRepository.findUserBest(user.id, filters) : undefined;
+        
+        if (!best) {
+            return res.json({
+                success: true,
+                data: {
+                    rank: null,
+                    scoreId: null,
+                    leaders: [],
+                    period: formatPeriod(filters),
+                },
+            });
         }
         
-        // Получаем статистику
-        const [stats] = await db.query(
-            `SELECT 
-                COUNT(*) as totalGames,
-                COALESCE(MAX(score), 0) as bestScore,
-                COALESCE(SUM(targets_hit), 0) as totalHits,
-                COALESCE(ROUND(AVG(accuracy) * 100, 1), 0) as avgAccuracy,
-                COALESCE(MAX(max_combo), 0) as bestCombo,
-                COALESCE(SUM(duration_ms), 0) as totalPlaytimeMs
-             FROM scores 
-             WHERE user_id = ?`,
-            [user.id]
-        );
+        const rank = await scoreRepository.getLeaderboardRank(filters, best.value);
         
-        // Получаем последние 5 игр
-        const recentGames = await db.query(
-            `SELECT 
-                score, 
-                targets_hit as targetsHit, 
-                ROUND(accuracy * 100, 1) as accuracy,
-                max_combo as maxCombo,
-                duration_ms as durationMs,
-                created_at as playedAt
-             FROM scores 
-             WHERE user_id = ? 
-             ORDER BY created_at DESC 
-             LIMIT 5`,
-            [user.id]
-        );
+        // Ближайшие игроки выше (берём по возрастанию и разворачиваем)
+        const above = await scoreRepository.selectBestScores(filters, {
+            where: `AND s.${sort.column} > ?`,
+            whereParams: [best.value],
+            direction: 'ASC',
+            limit: range,
+        });
+        above.reverse();
         
-        // Позиция в общем рейтинге
-        const [rankResult] = await db.query(
-            `SELECT COUNT(*) + 1 as \`rank\` 
-             FROM (
-                 SELECT user_id, MAX(score) as best_score 
-                 FROM scores 
-                 GROUP BY user_id
-             ) t 
-             WHERE best_score > COALESCE((
-                 SELECT MAX(score) FROM scores WHERE user_id = ?
-             ), 0)`,
-            [user.id]
-        );
+        // Игрок и ближайшие игроки ниже
+        const below = await scoreRepository.selectBestScores(filters, {
+            where: `AND s.${sort.column} <= ? AND s.user_id <> ?`,
+            whereParams: [best.value, user.id],
+            limit: range,
+        });
+        const me = await scoreRepository.findLeaderboardRow(best.id);
+        
+        const leaders = [
+            ...above.map((leader, index) => ({ rank: rank - above.length + index, ...leader })),
+            { rank, ...me, isCurrentUser: true },
+            ...below.map((leader, index) => ({ rank: rank + index + 1, ...leader })),
+        ];
         
         res.json({
             success: true,
             data: {
-                username: user.username || `Игрок #${user.id}`,
-                rank: rankResult?.rank || 1,
-                stats: stats || {},
-                recentGames,
-                memberSince: user.created_at,
+                rank,
+                scoreId: best.id,
+                leaders,
+                period: formatPeriod(filters),
             },
         });
         
@@ -414,6 +379,48 @@ router.get('/user/telegram/:telegramId', async (req, res, next) => {
     }
 });
 
+/**
+ * Профиль игрока: статистика, последние 5 игр, позиция в общем рейтинге, достижения и уровень
+ * У гостя места в рейтинге нет (rank: null)
+ */
+async function getUserProfile(user) {
+    const isRanked = Boolean(user.telegram_id);
+    const [stats, recentGames, rank, unlocks] = await Promise.all([
+        userRepository.getStats(user.id),
+        scoreRepository.getRecentGames(user.id, 5),
+        isRanked ? scoreRepository.getPlayerRank(user.id) : null,
+        achievementRepository.listByUser(user.id),
+    ]);
+    
+    return {
+        username: user.username || `Игрок #${user.id}`,
+        ranked: isRanked,
+        rank,
+        stats,
+        recentGames,
+        achievements: listAchievements(unlocks),
+        progression: describeProgression(user.xp),
+        memberSince: user.created_at,
+    };
+}
+
+/**
+ * GET /api/scores/user/me
+ * Профиль игрока из Telegram по токену сессии
+ * (чужой профиль по Telegram ID не отдаётся)
+ */
+router.get('/user/me', requireAuthToken, async (req, res, next) => {
+    try {
+        res.json({
+            success: true,
+            data: await getUserProfile(req.user),
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * GET /api/scores/user/:sessionId
  * Получить статистику пользователя
@@ -431,11 +438,7 @@ router.get('/user/:sessionId', async (req, res, next) => {
             });
         }
         
-        // Получаем пользователя
-        const [user] = await db.query(
-            'SELECT id, username, created_at FROM users WHERE session_id = ?',
-            [sessionId]
-        );
+        const user = await userRepository.findBySessionId(sessionId);
         
         if (!user) {
             return res.status(HTTP.NOT_FOUND).json({
@@ -444,59 +447,9 @@ router.get('/user/:sessionId', async (req, res, next) => {
             });
         }
         
-        // Получаем статистику
-        const [stats] = await db.query(
-            `SELECT 
-                COUNT(*) as totalGames,
-                COALESCE(MAX(score), 0) as bestScore,
-                COALESCE(SUM(targets_hit), 0) as totalHits,
-                COALESCE(ROUND(AVG(accuracy) * 100, 1), 0) as avgAccuracy,
-                COALESCE(MAX(max_combo), 0) as bestCombo,
-                COALESCE(SUM(duration_ms), 0) as totalPlaytimeMs
-             FROM scores 
-             WHERE user_id = ?`,
-            [user.id]
-        );
-        
-        // Получаем последние 5 игр
-        const recentGames = await db.query(
-            `SELECT 
-                score, 
-                targets_hit as targetsHit, 
-                ROUND(accuracy * 100, 1) as accuracy,
-                max_combo as maxCombo,
-                duration_ms as durationMs,
-                created_at as playedAt
-             FROM scores 
-             WHERE user_id = ? 
-             ORDER BY created_at DESC 
-             LIMIT 5`,
-            [user.id]
-        );
-        
-        // Позиция в общем рейтинге
-        const [rankResult] = await db.query(
-            `SELECT COUNT(*) + 1 as \`rank\` 
-             FROM (
-                 SELECT user_id, MAX(score) as best_score 
-                 FROM scores 
-                 GROUP BY user_id
-             ) t 
-             WHERE best_score > COALESCE((
-                 SELECT MAX(score) FROM scores WHERE user_id = ?
-             ), 0)`,
-            [user.id]
-        );
-        
         res.json({
             success: true,
-            data: {
-                username: user.username || `Игрок #${user.id}`,
-                rank: rankResult?.rank || 1,
-                stats: stats || {},
-                recentGames,
-                memberSince: user.created_at,
-            },
+            data: await getUserProfile(user),
         });
         
     } catch (error) {
@@ -533,32 +486,25 @@ router.put('/user/:sessionId', async (req, res, next) => {
         // Санитизация
         const cleanUsername = username.trim().replace(/[<>]/g, '');
         
-        // Проверяем уникальность имени
-        const [existing] = await db.query(
-            'SELECT id FROM users WHERE username = ? AND session_id != ?',
-            [cleanUsername, sessionId]
-        );
+        const user = await userRepository.findBySessionId(sessionId);
         
-        if (existing) {
-            return res.status(HTTP.BAD_REQUEST).json({
+        if (!user) {
+            return res.status(HTTP.NOT_FOUND).json({
                 success: false,
-                error: 'Это имя уже занято',
+                error: 'Пользователь не найден',
             });
         }
         
-        // Обновляем
-        const result = await db.query(
-            'UPDATE users SET username = ? WHERE session_id = ?',
-            [cleanUsername, sessionId]
-        );
-        
-        if (result.affectedRows === 0) {
-            return res.status(HTTP.NOT_FOUND).json({
+        // Проверяем уникальность имени
+        if (await userRepository.isUsernameTaken(cleanUsername, user.id)) {
+            return res.status(HTTP.BAD_REQUEST).json({
                 success: false,
-                error: 'Пользователь не найден',
+                error: 'Это имя уже занято',
             });
         }
         
+        await userRepository.updateUsername(user.id, cleanUsername);
+        
         res.json({
             success: true,
             data: { username: cleanUsername },
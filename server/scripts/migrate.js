@@ -0,0 +1,50 @@
+/**
+ * CLI миграций
+ *   node scripts/migrate.js up           — применить новые миграции
+ *   node scripts/migrate.js down [N]     — откатить N последних (по умолчанию 1)
+ *   node scripts/migrate.js status       — список миграций
+ */
+
+require('dotenv').config();
+
+const db = require('../config/database');
+const { migrate, rollback, status } = require('../config/migrator');
+
+async function run() {
+    const [command = 'up', arg] = process.argv.slice(2);
+    
+    if (!(await db.testConnection())) {
+        throw new Error('Нет подключения к БД');
+    }
+    
+    switch (command) {
+        case 'up':
+            await migrate();
+            break;
+        
+        case 'down': {
+            const steps = parseInt(arg, 10) || 1;
+            await rollback(steps);
+            break;
+        }
+        
+        case 'status': {
+            const migrations = await status();
+            migrations.forEach(({ version, name, applied }) => {
+                console.log(`${applied ? '✅' : '⏳'} ${version}_${name}`);
+            });
+            break;
+        }
+        
+        default:
+            throw new Error(`Неизвестная команда: ${command} (up | down [N] | status)`);
+    }
+}
+
+run()
+    .then(() => db.closePool())
+    .catch(async (error) => {
+        console.error('❌', error.message);
+        await db.closePool();
+        process.exit(1);
+    });
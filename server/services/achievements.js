@@ -0,0 +1,139 @@
+/**
+ * Каталог достижений и проверка их открытия
+ * Достижения за игру проверяются по принятому результату,
+ * за общую статистику — по строке user_stats (только игроки из Telegram)
+ */
+
+const userRepository = require('../repositories/userRepository');
+const achievementRepository = require('../repositories/achievementRepository');
+
+/**
+ * Каталог: id хранится в user_achievements, порядок — порядок показа в профиле
+ * game — результат игры, stats — строка user_stats или null
+ */
+const ACHIEVEMENTS = [
+    {
+        id: 'first_hit',
+        title: 'Первая кровь',
+        description: 'Попасть в первую мишень',
+        icon: '🎯',
+        isUnlocked: (game) => game.targetsHit >= 1,
+    },
+    {
+        id: 'combo_10',
+        title: 'Серия',
+        description: 'Собрать комбо x10',
+        icon: '🔥',
+        isUnlocked: (game) => game.maxCombo >= 10,
+    },
+    {
+        id: 'flawless_20',
+        title: 'Без промаха',
+        description: '100% точность, минимум 20 выстрелов',
+        icon: '💎',
+        isUnlocked: (game) => game.shotsFired >= 20 && game.accuracy === 1,
+    },
+    {
+        id: 'score_25k',
+        title: 'Крупная дичь',
+        description: 'Набрать 25 000 очков за игру',
+        icon: '⭐',
+        isUnlocked: (game) => game.score >= 25000,
+    },
+    {
+        id: 'survival_wave_10',
+        title: 'Несгибаемый',
+        description: 'Дойти до 10 волны в режиме выживания',
+        icon: '🌊',
+        isUnlocked: (game) => game.gameMode === 'survival' && game.wave >= 10,
+    },
+    {
+        id: 'games_10',
+        title: 'Завсегдатай',
+        description: 'Сыграть 10 игр',
+        icon: '🎮',
+        isUnlocked: (game, stats) => Boolean(stats) && Number(stats.total_games) >= 10,
+    },
+    {
+        id: 'hits_1000',
+        title: 'Тысяча попаданий',
+        description: 'Попасть в 1000 мишеней за всё время',
+        icon: '🏹',
+        isUnlocked: (game, stats) => Boolean(stats) && Number(stats.total_hits) >= 1000,
+    },
+    {
+        id: 'playtime_hour',
+        title: 'Час в тире',
+        description: 'Провести в игре час',
+        icon: '⏱️',
+        isUnlocked: (game, stats) => Boolean(stats) && Number(stats.total_playtime_ms) >= 3600000,
+    },
+];
+
+/**
+ * Достижения, которые открывает эта игра
+ * @param {object} game - score, targetsHit, shotsFired, accuracy, maxCombo, gameMode, wave
+ * @param {object|null} stats - строка user_stats с учётом этой игры (у гостя её нет)
+ * @param {string[]} unlockedIds - уже открытые достижения игрока
+ * @returns {string[]} id новых достижений
+ */
+function evaluateAchievements(game, stats, unlockedIds) {
+    const unlocked = new Set(unlockedIds);
+    
+    return ACHIEVEMENTS
+        .filter(achievement => !unlocked.has(achievement.id))
+        .filter(achievement => achievement.isUnlocked(game, stats))
+        .map(achievement => achievement.id);
+}
+
+/**
+ * Описание достижения для ответа API
+ * @returns {{id: string, title: string, description: string, icon: string}}
+ */
+function describeAchievement(id) {
+    const { title, description, icon } = ACHIEVEMENTS.find(achievement => achievement.id === id);
+    return { id, title, description, icon };
+}
+
+/**
+ * Весь каталог с отметкой, что открыто у игрока
+ * @param {Array<{achievement: string, unlockedAt: string}>} unlocks - строки user_achievements
+ */
+function listAchievements(unlocks) {
+    const unlockedAt = new Map(unlocks.map(unlock => [unlock.achievement, unlock.unlockedAt]));
+    
+    return ACHIEVEMENTS.map(({ id }) => ({
+        ...describeAchievement(id),
+        unlocked: unlockedAt.has(id),
+        unlockedAt: unlockedAt.get(id) || null,
+    }));
+}
+
+/**
+ * Открыть достижения за принятую игру (при сохранении результата или принятии с проверки)
+ * Достижения за общую статистику считаются по user_stats — с учётом этой игры
+ * @param {object} game - score, targetsHit, shotsFired, accuracy, maxCombo, gameMode, wave
+ * @returns {Promise<Array<object>>} описания новых достижений
+ */
+async function unlockGameAchievements(userId, game, scoreId) {
+    const [unlocks, stats] = await Promise.all([
+        achievementRepository.listByUser(userId),
+        userRepository.getRankedStats(userId),
+    ]);
+    
+    const earned = evaluateAchievements(game, stats || null, unlocks.map(unlock => unlock.achievement));
+    if (earned.length === 0) return [];
+    
+    const unlocked = await achievementRepository.unlock(userId, earned, scoreId);
+    console.log('🏅 Достижения:', unlocked.join(', '));
+    
+    return unlocked.map(describeAchievement);
+}
+
+module.exports = {
+    ACHIEVEMENTS,
+    evaluateAchievements,
+    unlockGameAchievements,
+    describeAchievement,
+    listAchievements,
+};
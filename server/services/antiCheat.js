@@ -0,0 +1,72 @@
+/**
+ * Оценка результата игры античитом
+ * Подозрительный результат не отклоняется, а сохраняется скрытым
+ * и попадает в очередь проверки (flagged_scores)
+ */
+
+const { GAME, ANTICHEAT, TRUST, FLAG_REASONS } = require('../config/constants');
+
+/**
+ * Причины отправить результат на проверку
+ * @param {object} result - score, targetsHit, durationMs (посчитана сервером)
+ * @param {number} trustScore - доверие к игроку
+ * @returns {Array<{reason: string, details: string}>} пустой массив — принять автоматически
+ */
+function assessGameResult({ score, targetsHit, durationMs }, trustScore) {
+    const flags = [];
+    
+    // Короткие игры не пропускаем, а оцениваем как минимум 10-секундные
+    const durationMin = Math.max(durationMs, ANTICHEAT.MIN_RATE_DURATION_MS) / 60000;
+    
+    const scorePerMin = score / durationMin;
+    if (scorePerMin > GAME.MAX_SCORE_PER_MINUTE) {
+        flags.push({
+            reason: FLAG_REASONS.SCORE_RATE,
+            details: `${Math.round(scorePerMin)} очков/мин > ${GAME.MAX_SCORE_PER_MINUTE}`,
+        });
+    }
+    
+    const hitsPerMin = targetsHit / durationMin;
+    if (hitsPerMin > GAME.MAX_HITS_PER_MINUTE) {
+        flags.push({
+            reason: FLAG_REASONS.HIT_RATE,
+            details: `${Math.round(hitsPerMin)} попаданий/мин > ${GAME.MAX_HITS_PER_MINUTE}`,
+        });
+    }
+    
+    if (trustScore < TRUST.AUTO_ACCEPT_MIN) {
+        flags.push({
+            reason: FLAG_REASONS.LOW_TRUST,
+            details: `доверие ${trustScore} < ${TRUST.AUTO_ACCEPT_MIN}`,
+        });
+    }
+    
+    return flags;
+}
+
+/**
+ * Доверие к игроку после игры
+ * Чистая игра повышает доверие, подозрительная — понижает.
+ * Игра, задержанная только из-за низкого доверия, его не меняет:
+ * восстановить доверие можно проверкой результатов
+ * @param {number} trustScore - текущее доверие
+ * @param {Array} flags - результат assessGameResult
+ * @returns {number}
+ */
+function getNextTrustScore(trustScore, flags) {
+    const isSuspicious = flags.some(flag => flag.reason !== FLAG_REASONS.LOW_TRUST);
+    
+    let delta = 0;
+    if (isSuspicious) {
+        delta = -TRUST.FLAG_PENALTY;
+    } else if (flags.length === 0) {
+        delta = TRUST.CLEAN_GAME_BONUS;
+    }
+    
+    return Math.min(TRUST.MAX, Math.max(TRUST.MIN, trustScore + delta));
+}
+
+module.exports = {
+    assessGameResult,
+    getNextTrustScore,
+};
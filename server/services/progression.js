@@ -0,0 +1,90 @@
+/**
+ * Опыт, уровни игрока и открытие оружия
+ * Уровень не хранится: он однозначно следует из накопленного опыта (users.xp)
+ */
+
+const { PROGRESSION, PROGRESSION_ERRORS, WEAPON_RULES, WEAPONS } = require('../config/constants');
+
+/**
+ * Опыт за игру: очки, попадания и бонус за точность
+ * Дробь поражает несколько дисков за выстрел — точность в бонусе не выше 100%
+ * @param {object} result - score, targetsHit, shotsFired
+ * @returns {number}
+ */
+function calculateGameXp({ score, targetsHit, shotsFired }) {
+    const accuracyBonus = shotsFired >= PROGRESSION.ACCURACY_MIN_SHOTS
+        ? Math.round(PROGRESSION.ACCURACY_BONUS_XP * Math.min(targetsHit, shotsFired) / shotsFired)
+        : 0;
+    
+    return Math.floor(score / PROGRESSION.POINTS_PER_XP)
+        + targetsHit * PROGRESSION.XP_PER_HIT
+        + accuracyBonus;
+}
+
+/**
+ * Сколько опыта нужно для уровня (с нуля)
+ */
+function getLevelXp(level) {
+    return PROGRESSION.LEVEL_BASE_XP * level * (level - 1) / 2;
+}
+
+/**
+ * Уровень по накопленному опыту
+ */
+function getLevel(xp) {
+    let level = 1;
+    while (level < PROGRESSION.MAX_LEVEL && xp >= getLevelXp(level + 1)) {
+        level++;
+    }
+    return level;
+}
+
+/**
+ * Проверить, открыто ли оружие у игрока
+ * @returns {{code: string, error: string, requiredLevel: number}|null} null — оружие доступно
+ */
+function getWeaponLock(weapon, xp) {
+    const requiredLevel = WEAPON_RULES[weapon].unlockLevel;
+    if (getLevel(xp) >= requiredLevel) return null;
+    
+    return {
+        code: PROGRESSION_ERRORS.WEAPON_LOCKED,
+        error: `Weapon ${weapon} unlocks at level ${requiredLevel}`,
+        requiredLevel,
+    };
+}
+
+/**
+ * Оружие, открытое на уровне
+ */
+function getUnlockedWeapons(level) {
+    return WEAPONS.filter(weapon => WEAPON_RULES[weapon].unlockLevel <= level);
+}
+
+/**
+ * Прогресс игрока для ответа API: уровень, границы уровня и открытие оружия
+ */
+function describeProgression(xp) {
+    const level = getLevel(xp);
+    
+    return {
+        xp,
+        level,
+        levelXp: getLevelXp(level),
+        nextLevelXp: level < PROGRESSION.MAX_LEVEL ? getLevelXp(level + 1) : null,
+        weapons: WEAPONS.map(weapon => ({
+            weapon,
+            unlockLevel: WEAPON_RULES[weapon].unlockLevel,
+            unlockXp: getLevelXp(WEAPON_RULES[weapon].unlockLevel),
+            unlocked: WEAPON_RULES[weapon].unlockLevel <= level,
+        })),
+    };
+}
+
+module.exports = {
+    calculateGameXp,
+    getLevel,
+    getWeaponLock,
+    getUnlockedWeapons,
+    describeProgression,
+};
@@ -0,0 +1,208 @@
+/**
+ * Проверка журнала выстрелов (replay)
+ * Пересчитывает очки, попадания и комбо по правилам оружия
+ * и сравнивает с присланным результатом игры
+ *
+ * Формат события: [t, hand, x, y, combo, points, hits]
+ *   t      — мс от начала игры
+ *   hand   — 0 (основная рука) или 1 (вторая рука в dual)
+ *   x, y   — прицел в долях экрана × 1000
+ *   combo  — множитель, с которым начислены очки (0 для промаха)
+ *   points — очки за выстрел (0 — промах)
+ *   hits   — сколько дисков поражено (дробь — до WEAPON_RULES.pellets);
+ *            в журналах без этого поля попадание — один диск
+ *
+ * Перезарядка магазина: [t, -1] — t — начало перезарядки.
+ * После неё магазин снова полный, но стрелять можно только через WEAPON_RULES.reloadTime
+ */
+
+const { GAME, SCORING, WEAPON_RULES } = require('../config/constants');
+
+const EVENT_LENGTH = 6;
+const EVENT_LENGTH_WITH_HITS = 7;
+const RELOAD_EVENT_LENGTH = 2;
+const RELOAD_HAND = -1;
+
+/**
+ * Событие перезарядки магазина
+ */
+function isReloadEvent(event) {
+    return Array.isArray(event) && event.length === RELOAD_EVENT_LENGTH && event[1] === RELOAD_HAND;
+}
+
+/**
+ * Проверка формы события: массив из целых чисел в допустимых пределах
+ */
+function isValidEvent(event) {
+    if (!Array.isArray(event)) return false;
+    if (!event.every(Number.isInteger)) return false;
+    
+    if (isReloadEvent(event)) {
+        return event[0] >= 0 && event[0] <= GAME.MAX_DURATION_MS;
+    }
+    if (event.length !== EVENT_LENGTH && event.length !== EVENT_LENGTH_WITH_HITS) return false;
+    
+    const [t, hand, x, y, combo, points, hits = 0] = event;
+    return t >= 0 && t <= GAME.MAX_DURATION_MS &&
+        (hand === 0 || hand === 1) &&
+        x >= 0 && x <= 1000 &&
+        y >= 0 && y <= 1000 &&
+        combo >= 0 && combo <= GAME.MAX_COMBO &&
+        points >= 0 &&
+        hits >= 0;
+}
+
+/**
+ * Допустимые очки за попадание
+ * Дробь теряет урон к краю разлёта и получает бонус за несколько дисков одним выстрелом,
+ * бонус режима точности — только у оружия с одной пулей (у дроби его роль играет разлёт).
+ * Попадание пулей в ядро диска умножает урон на rules.headshot
+ * @returns {{min: number, max: number}}
+ */
+function getShotPointsRange(rules, { combo, hits, maxBonus }) {
+    const fullDamage = rules.damage * combo;
+    
+    if (rules.pellets === 1) {
+        return { min: fullDamage, max: fullDamage * rules.headshot + maxBonus };
+    }
+    
+    const multiKillBonus = Math.round(rules.damage * SCORING.MULTI_KILL_BONUS) * (hits - 1);
+    return {
+        min: hits * Math.round(fullDamage * SCORING.PELLET_MIN_FALLOFF) + multiKillBonus,
+        max: hits * fullDamage + multiKillBonus,
+    };
+}
+
+/**
+ * Пересчитать результат игры по журналу выстрелов
+ * @param {Array} events - журнал выстрелов
+ * @param {object} game - weapon, gameMode, durationMs (посчитана сервером)
+ * @returns {{valid: boolean, error?: string, derived?: object}}
+ */
+function replayEvents(events, { weapon, gameMode, durationMs }) {
+    const rules = WEAPON_RULES[weapon] || WEAPON_RULES.pistol;
+    const isAccuracy = gameMode === 'accuracy';
+    const maxCombo = isAccuracy ? SCORING.ACCURACY_MAX_STREAK : rules.maxCombo;
+    const maxBonus = isAccuracy ? Math.round(rules.damage * SCORING.ACCURACY_PRECISION_BONUS) : 0;
+    
+    const lastShot = [-Infinity, -Infinity];
+    let magazineShots = 0;
+    let reloadEnd = -Infinity;
+    let lastHit = -Infinity;
+    let prevT = 0;
+    let combo = 1;
+    
+    // shotsHit — выстрелы хотя бы с одним попаданием (дробь поражает несколько дисков за выстрел)
+    const derived = { score: 0, targetsHit: 0, shotsFired: 0, shotsHit: 0, maxCombo: 1 };
+    
+    for (let i = 0; i < events.length; i++) {
+        const event = events[i];
+        if (!isValidEvent(event)) {
+            return { valid: false, error: `Некорректное событие #${i}` };
+        }
+        
+        const [t, hand, , , claimedCombo, points] = event;
+        const hits = event.length === EVENT_LENGTH_WITH_HITS ? event[6] : Math.min(points, 1);
+        
+        if (t < prevT || t > durationMs + SCORING.CLOCK_TOLERANCE_MS) {
+            return { valid: false, error: `Неверное время события #${i}` };
+        }
+        prevT = t;
+        
+        // Перезарядка: магазин полный (у dual — общий на обе руки)
+        if (isReloadEvent(event)) {
+            magazineShots = 0;
+            reloadEnd = t + rules.reloadTime;
+            continue;
+        }
+        derived.shotsFired++;
+        
+        if (hand >= rules.hands) {
+            return { valid: false, error: `Лишняя рука в событии #${i}` };
+        }
+        
+        // Перезарядка считается для каждой руки отдельно
+        if (t - lastShot[hand] < rules.cooldown) {
+            return { valid: false, error: `Выстрел быстрее перезарядки в событии #${i}` };
+        }
+        lastShot[hand] = t;
+        
+        // Магазин пополняется только записанной в журнал перезарядкой
+        if (t < reloadEnd) {
+            return { valid: false, error: `Выстрел во время перезарядки магазина в событии #${i}` };
+        }
+        if (++magazineShots > rules.magazine) {
+            return { valid: false, error: `Выстрел без перезарядки магазина в событии #${i}` };
+        }
+        
+        // Очки без попаданий или попадания без очков
+        if ((hits === 0) !== (points === 0) || hits > rules.pellets) {
+            return { valid: false, error: `Неверное число попаданий в событии #${i}` };
+        }
+        
+        // Промах сбрасывает комбо
+        if (points === 0) {
+            combo = 1;
+            continue;
+        }
+        
+        // Комбо сгорает после паузы без попаданий (кроме режима точности)
+        if (!isAccuracy && t - lastHit > SCORING.COMBO_RESET_MS + SCORING.FRAME_TOLERANCE_MS) {
+            combo = 1;
+        }
+        
+        // Комбо может только совпадать с расчётным или быть сброшенным
+        // (улетевший диск в выживании, сброс по таймеру)
+        if (claimedCombo !== combo && claimedCombo !== 1) {
+            return { valid: false, error: `Неверное комбо в событии #${i}` };
+        }
+        combo = claimedCombo;
+        
+        const range = getShotPointsRange(rules, { combo, hits, maxBonus });
+        if (points < range.min || points > range.max) {
+            return { valid: false, error: `Неверные очки в событии #${i}` };
+        }
+        
+        if (isAccuracy || t - lastHit < SCORING.COMBO_WINDOW_MS) {
+            combo = Math.min(combo + 1, maxCombo);
+        }
+        
+        lastHit = t;
+        derived.score += points;
+        derived.targetsHit += hits;
+        derived.shotsHit++;
+        derived.maxCombo = Math.max(derived.maxCombo, combo);
+    }
+    
+    return { valid: true, derived };
+}
+
+/**
+ * Сравнить присланный результат с пересчитанным по журналу
+ * @param {object} result - score, targetsHit, shotsFired, maxCombo из запроса
+ * @param {Array} events - журнал выстрелов
+ * @param {object} game - weapon, gameMode, durationMs
+ * @returns {{valid: boolean, error?: string, derived?: object}}
+ */
+function verifyGameResult(result, events, game) {
+    const replay = replayEvents(events, game);
+    if (!replay.valid) return replay;
+    
+    const mismatched = ['score', 'targetsHit', 'shotsFired', 'maxCombo']
+        .filter(field => result[field] !== replay.derived[field]);
+    
+    if (mismatched.length > 0) {
+        return {
+            valid: false,
+            error: `Результат не совпадает с журналом выстрелов: ${mismatched.join(', ')}`,
+            derived: replay.derived,
+        };
+    }
+    
+    return replay;
+}
+
+module.exports = {
+    replayEvents,
+    verifyGameResult,
+};
@@ -0,0 +1,64 @@
+/**
+ * Подписанные токены без состояния: base64url(JSON) + '.' + HMAC-подпись
+ * Используются для токенов игровых сессий и сессий игроков
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Токены с одним секретом подписи
+ * @param {string} secret - секрет HMAC
+ * @returns {{sign: function(object): string, verify: function(string): (object|null)}}
+ */
+function createTokenSigner(secret) {
+    /**
+     * HMAC-подпись данных токена
+     */
+    function signData(data) {
+        return crypto
+            .createHmac('sha256', secret)
+            .update(data)
+            .digest('base64url');
+    }
+    
+    /**
+     * Создать токен
+     * @param {object} payload
+     * @returns {string}
+     */
+    function sign(payload) {
+        const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        return `${data}.${signData(data)}`;
+    }
+    
+    /**
+     * Проверить подпись токена и извлечь данные
+     * @param {string} token
+     * @returns {object|null} null если токен повреждён или подделан
+     */
+    function verify(token) {
+        if (typeof token !== 'string') return null;
+        
+        const [data, signature] = token.split('.');
+        if (!data || !signature) return null;
+        
+        // Сравниваем подписи (timing-safe comparison)
+        const expected = signData(data);
+        if (signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return null;
+        }
+        
+        try {
+            return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    return { sign, verify };
+}
+
+module.exports = {
+    createTokenSigner,
+};
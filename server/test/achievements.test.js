@@ -0,0 +1,116 @@
+/**
+ * Достижения: открытие в POST /api/scores и каталог в профиле
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    request,
+    db,
+    createTestApp,
+    closeTestApp,
+    guest,
+    telegramPlayer,
+    sendAs,
+    getProfile,
+    playGame,
+    submitGame,
+} = require('./helpers');
+
+/**
+ * id достижений из ответа
+ */
+function ids(achievements) {
+    return achievements.map(achievement => achievement.id);
+}
+
+describe('Достижения', () => {
+    let app;
+    
+    before(async () => {
+        app = await createTestApp();
+    });
+    
+    after(closeTestApp);
+    
+    it('открывает достижения за игру один раз', async () => {
+        const player = await telegramPlayer(app, { id: 3001, username: 'hunter' });
+        
+        const first = await submitGame(app, player, playGame({ hits: 1, misses: 1 }));
+        assert.deepEqual(ids(first.body.data.achievements), ['first_hit']);
+        assert.equal(first.body.data.achievements[0].title, 'Первая кровь');
+        
+        // 20 попаданий подряд: комбо x10 и 100% точность
+        const second = await submitGame(app, player, playGame({ hits: 20 }));
+        assert.deepEqual(ids(second.body.data.achievements), ['combo_10', 'flawless_20']);
+        
+        const third = await submitGame(app, player, playGame({ hits: 20 }));
+        assert.deepEqual(third.body.data.achievements, []);
+    });
+    
+    it('не открывает достижения за результат на проверке', async () => {
+        const player = await telegramPlayer(app, { id: 3002, username: 'suspect' });
+        await db.query('UPDATE users SET trust_score = 0 WHERE telegram_id = 3002');
+        
+        const res = await submitGame(app, player, playGame({ hits: 3 }));
+        
+        assert.equal(res.body.data.status, 'pending');
+        assert.deepEqual(res.body.data.achievements, []);
+    });
+    
+    it('открывает достижения, когда результат принят с проверки', async () => {
+        const player = await telegramPlayer(app, { id: 3005, username: 'cleared' });
+        await db.query('UPDATE users SET trust_score = 0 WHERE telegram_id = 3005');
+        
+        const res = await submitGame(app, player, playGame({ hits: 20 }));
+        assert.equal(res.body.data.status, 'pending');
+        
+        await request(app)
+            .put(`/api/admin/scores/${res.body.data.scoreId}/status`)
+            .set('X-Admin-Key', 'test-admin-key')
+            .send({ status: 'approved' })
+            .expect(200);
+        
+        const profile = await getProfile(app, player).expect(200);
+        const unlocked = profile.body.data.achievements.filter(achievement => achievement.unlocked);
+        assert.deepEqual(ids(unlocked), ['first_hit', 'combo_10', 'flawless_20']);
+    });
+    
+    it('считает достижения за общую статистику только у игроков из Telegram', async () => {
+        const player = await telegramPlayer(app, { id: 3003, username: 'regular' });
+        const visitor = guest();
+        
+        let playerRes;
+        let visitorRes;
+        for (let i = 0; i < 10; i++) {
+            playerRes = await submitGame(app, player, playGame({ hits: 1, misses: 1 }));
+            visitorRes = await submitGame(app, visitor, playGame({ hits: 1, misses: 1 }));
+        }
+        
+        assert.deepEqual(ids(playerRes.body.data.achievements), ['games_10']);
+        assert.deepEqual(visitorRes.body.data.achievements, []);
+    });
+    
+    it('показывает весь каталог в профиле', async () => {
+        const player = await telegramPlayer(app, { id: 3001, username: 'hunter' });
+        const res = await getProfile(app, player).expect(200);
+        const { achievements } = res.body.data;
+        
+        const unlocked = achievements.filter(achievement => achievement.unlocked);
+        assert.deepEqual(ids(unlocked), ['first_hit', 'combo_10', 'flawless_20']);
+        assert.ok(unlocked.every(achievement => achievement.unlockedAt));
+        assert.ok(achievements.some(achievement => achievement.id === 'hits_1000' && !achievement.unlocked));
+    });
+    
+    it('переносит достижения гостя при объединении аккаунтов', async () => {
+        const player = await telegramPlayer(app, { id: 3004, username: 'late_joiner' });
+        const visitor = guest();
+        await submitGame(app, visitor, playGame({ hits: 20 }));
+        
+        await sendAs(request(app).post('/api/auth/merge'), player, { sessionId: visitor.sessionId }).expect(200);
+        
+        const res = await getProfile(app, player).expect(200);
+        const unlocked = res.body.data.achievements.filter(achievement => achievement.unlocked);
+        assert.deepEqual(ids(unlocked), ['first_hit', 'combo_10', 'flawless_20']);
+    });
+});
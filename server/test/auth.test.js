@@ -0,0 +1,349 @@
+/**
+ * POST /api/auth/telegram и GET /api/auth/me
+ * initData подписывается тестовым токеном бота, как это делает Telegram
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    request,
+    db,
+    createTestApp,
+    closeTestApp,
+    makeInitData,
+    guest,
+    telegramPlayer,
+    getProfile,
+    playGame,
+    submitGame,
+} = require('./helpers');
+const { signAuthToken } = require('../middleware/userAuth');
+
+describe('POST /api/auth/telegram', () => {
+    let app;
+    const telegramUser = { id: 123456789, username: 'sniper_pro', first_name: 'Иван' };
+    
+    before(async () => {
+        app = await createTestApp();
+    });
+    
+    after(closeTestApp);
+    
+    it('создаёт игрока по валидному initData', async () => {
+        const res = await request(app)
+            .post('/api/auth/telegram')
+            .send({ initData: makeInitData(telegramUser) })
+            .expect(200);
+        
+        assert.equal(res.body.success, true);
+        assert.equal(res.body.data.telegramId, telegramUser.id);
+        assert.equal(res.body.data.username, 'sniper_pro');
+        assert.equal(res.body.data.firstName, 'Иван');
+        assert.equal(res.body.data.stats.totalGames, 0);
+    });
+    
+    it('находит того же игрока при повторном входе и обновляет имя', async () => {
+        const first = await request(app)
+            .post('/api/auth/telegram')
+            .send({ initData: makeInitData(telegramUser) })
+            .expect(200);
+        const second = await request(app)
+            .post('/api/auth/telegram')
+            .send({ initData: makeInitData({ ...telegramUser, username: 'renamed' }) })
+            .expect(200);
+        
+        assert.equal(second.body.data.userId, first.body.data.userId);
+        assert.equal(second.body.data.username, 'renamed');
+    });
+    
+    it('отклоняет initData, подписанный другим ботом', async () => {
+        const res = await request(app)
+            .post('/api/auth/telegram')
+            .send({ initData: makeInitData(telegramUser, { botToken: 'other-bot-token' }) })
+            .expect(401);
+        
+        assert.equal(res.body.success, false);
+        assert.equal(res.body.code, 'INIT_DATA_INVALID');
+    });
+    
+    it('отклоняет подменённые данные пользователя', async () => {
+        const params = new URLSearchParams(makeInitData(telegramUser));
+        params.set('user', JSON.stringify({ ...telegramUser, id: 1 }));
+        
+        await request(app)
+            .post('/api/auth/telegram')
+            .send({ initData: params.toString() })
+            .expect(401);
+    });
+    
+    it('отклоняет initData без подписи', async () => {
+        const params = new URLSearchParams(makeInitData(telegramUser));
+        params.delete('hash');
+        
+        await request(app)
+            .post('/api/auth/telegram')
+            .send({ initData: params.toString() })
+            .expect(401);
+    });
+    
+    it('требует initData', async () => {
+        await request(app).post('/api/auth/telegram').send({}).expect(400);
+    });
+    
+    it('закрывает dev-вход вне режима разработки', async () => {
+        await request(app).post('/api/auth/dev').send({ sessionId: 'dev' }).expect(404);
+    });
+});
+
+describe('Срок действия и одноразовость initData', () => {
+    let app;
+    const telegramUser = { id: 987654321, username: 'replayer' };
+    const now = () => Math.floor(Date.now() / 1000);
+    
+    /**
+     * Вход по initData
+     */
+    function login(initData) {
+        return request(app).post('/api/auth/telegram').send({ initData });
+    }
+    
+    before(async () => {
+        app = await createTestApp();
+    });
+    
+    after(async () => {
+        delete process.env.TELEGRAM_AUTH_MAX_AGE_SEC;
+        delete process.env.TELEGRAM_REPLAY_PROTECTION;
+        delete process.env.ADMIN_TELEGRAM_IDS;
+        await closeTestApp();
+    });
+    
+    it('отклоняет initData старше суток с кодом INIT_DATA_EXPIRED', async () => {
+        const res = await login(makeInitData(telegramUser, { authDate: now() - 86400 - 60 })).expect(401);
+        
+        assert.equal(res.body.code, 'INIT_DATA_EXPIRED');
+    });
+    
+    it('отклоняет auth_date из будущего', async () => {
+        const res = await login(makeInitData(telegramUser, { authDate: now() + 3600 })).expect(401);
+        
+        assert.equal(res.body.code, 'INIT_DATA_INVALID');
+    });
+    
+    it('берёт срок действия из TELEGRAM_AUTH_MAX_AGE_SEC', async () => {
+        process.env.TELEGRAM_AUTH_MAX_AGE_SEC = '300';
+        const res = await login(makeInitData(telegramUser, { authDate: now() - 600 })).expect(401);
+        assert.equal(res.body.code, 'INIT_DATA_EXPIRED');
+        
+        // 0 — без ограничения срока
+        process.env.TELEGRAM_AUTH_MAX_AGE_SEC = '0';
+        await login(makeInitData(telegramUser, { authDate: now() - 30 * 86400 })).expect(200);
+        
+        delete process.env.TELEGRAM_AUTH_MAX_AGE_SEC;
+    });
+    
+    it('по умолчанию принимает initData повторно', async () => {
+        const initData = makeInitData(telegramUser);
+        
+        await login(initData).expect(200);
+        await login(initData).expect(200);
+    });
+    
+    it('с TELEGRAM_REPLAY_PROTECTION принимает initData только один раз', async () => {
+        process.env.TELEGRAM_REPLAY_PROTECTION = 'true';
+        const initData = makeInitData(telegramUser);
+        
+        await login(initData).expect(200);
+        const res = await login(initData).expect(401);
+        assert.equal(res.body.code, 'INIT_DATA_REPLAYED');
+        
+        // Новый запуск Mini App — новый query_id
+        await login(makeInitData(telegramUser)).expect(200);
+        
+        delete process.env.TELEGRAM_REPLAY_PROTECTION;
+    });
+    
+    it('проверяет срок действия и одноразовость initData администратора', async () => {
+        process.env.ADMIN_TELEGRAM_IDS = String(telegramUser.id);
+        const audit = initData => request(app).get('/api/admin/audit').set('X-Telegram-Init-Data', initData);
+        
+        await audit(makeInitData(telegramUser)).expect(200);
+        const expired = await audit(makeInitData(telegramUser, { authDate: now() - 86400 - 60 })).expect(401);
+        assert.equal(expired.body.code, 'INIT_DATA_EXPIRED');
+        
+        process.env.TELEGRAM_REPLAY_PROTECTION = 'true';
+        const initData = makeInitData(telegramUser);
+        await audit(initData).expect(200);
+        const replayed = await audit(initData).expect(401);
+        assert.equal(replayed.body.code, 'INIT_DATA_REPLAYED');
+        
+        delete process.env.TELEGRAM_REPLAY_PROTECTION;
+        delete process.env.ADMIN_TELEGRAM_IDS;
+    });
+});
+
+describe('Токен сессии и GET /api/auth/me', () => {
+    let app;
+    let player;
+    
+    before(async () => {
+        app = await createTestApp();
+        player = await telegramPlayer(app, { id: 555, username: 'me_user' });
+    });
+    
+    after(closeTestApp);
+    
+    it('выдаёт токен сессии при входе через Telegram', async () => {
+        const res = await request(app)
+            .post('/api/auth/telegram')
+            .send({ initData: makeInitData({ id: 555, username: 'me_user' }) })
+            .expect(200);
+        
+        assert.equal(typeof res.body.data.token, 'string');
+        assert.ok(Date.parse(res.body.data.expiresAt) > Date.now());
+    });
+    
+    it('возвращает игрока из токена', async () => {
+        const res = await request(app)
+            .get('/api/auth/me')
+            .set('Authorization', `Bearer ${player.token}`)
+            .expect(200);
+        
+        assert.equal(res.body.data.username, 'me_user');
+        assert.equal(res.body.data.telegramId, 555);
+        assert.equal(res.body.data.stats.totalGames, 0);
+    });
+    
+    it('не отдаёт игрока по telegramId без токена', async () => {
+        const res = await request(app).get('/api/auth/me?telegramId=555').expect(401);
+        
+        assert.equal(res.body.code, 'AUTH_REQUIRED');
+    });
+    
+    it('с токеном игнорирует чужой telegramId в запросе', async () => {
+        await telegramPlayer(app, { id: 777, username: 'victim' });
+        
+        const res = await request(app)
+            .get('/api/auth/me?telegramId=777')
+            .set('Authorization', `Bearer ${player.token}`)
+            .expect(200);
+        
+        assert.equal(res.body.data.username, 'me_user');
+    });
+    
+    it('возвращает гостя по его sessionId', async () => {
+        const visitor = guest();
+        await submitGame(app, visitor, playGame({ hits: 1 }));
+        
+        const res = await request(app).get(`/api/auth/me?sessionId=${visitor.sessionId}`).expect(200);
+        assert.equal(res.body.data.stats.totalGames, 1);
+        
+        await request(app).get(`/api/auth/me?sessionId=${guest().sessionId}`).expect(404);
+    });
+    
+    it('отклоняет подделанный токен', async () => {
+        const [data] = player.token.split('.');
+        const res = await request(app)
+            .get('/api/auth/me')
+            .set('Authorization', `Bearer ${data}.forged`)
+            .expect(401);
+        
+        assert.equal(res.body.code, 'AUTH_TOKEN_INVALID');
+    });
+    
+    it('отклоняет истёкший токен', async () => {
+        const [user] = await db.query('SELECT * FROM users WHERE telegram_id = 555');
+        const { token } = signAuthToken(user, Date.now() - 2 * 86400000);
+        
+        const res = await request(app)
+            .get('/api/auth/me')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(401);
+        
+        assert.equal(res.body.code, 'AUTH_TOKEN_EXPIRED');
+    });
+    
+    it('не мешает публичным запросам с истёкшим токеном', async () => {
+        const [user] = await db.query('SELECT * FROM users WHERE telegram_id = 555');
+        const { token } = signAuthToken(user, Date.now() - 2 * 86400000);
+        
+        await request(app)
+            .get('/api/scores/leaderboard')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        
+        const res = await request(app)
+            .post('/api/games/start')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ sessionId: guest().sessionId })
+            .expect(401);
+        assert.equal(res.body.code, 'AUTH_TOKEN_EXPIRED');
+    });
+});
+
+describe('POST /api/auth/merge', () => {
+    let app;
+    let player;
+    
+    /**
+     * Объединить гостя с игроком
+     */
+    function merge(identity, sessionId) {
+        const req = request(app).post('/api/auth/merge');
+        if (identity.token) req.set('Authorization', `Bearer ${identity.token}`);
+        return req.send({ sessionId });
+    }
+    
+    before(async () => {
+        app = await createTestApp();
+        player = await telegramPlayer(app, { id: 4242, username: 'merger' });
+    });
+    
+    after(closeTestApp);
+    
+    it('переносит игры гостя в аккаунт Telegram и выводит их в рейтинг', async () => {
+        const visitor = guest();
+        await submitGame(app, visitor, playGame({ hits: 3 }));
+        await submitGame(app, visitor, playGame({ hits: 5 }));
+        
+        const res = await merge(player, visitor.sessionId).expect(200);
+        
+        assert.equal(res.body.data.mergedGames, 2);
+        assert.equal(res.body.data.stats.totalGames, 2);
+        
+        const profile = await getProfile(app, player).expect(200);
+        assert.equal(profile.body.data.ranked, true);
+        assert.equal(profile.body.data.rank, 1);
+        
+        // Гостевой записи больше нет
+        await request(app).get(`/api/auth/me?sessionId=${visitor.sessionId}`).expect(404);
+    });
+    
+    it('требует токен игрока из Telegram', async () => {
+        const visitor = guest();
+        await submitGame(app, visitor, playGame({ hits: 1 }));
+        
+        const res = await merge(visitor, visitor.sessionId).expect(401);
+        assert.equal(res.body.code, 'AUTH_REQUIRED');
+    });
+    
+    it('не присоединяет чужой аккаунт Telegram по его session_id', async () => {
+        await telegramPlayer(app, { id: 4343, username: 'victim' });
+        const [victim] = await db.query('SELECT session_id FROM users WHERE telegram_id = 4343');
+        
+        await merge(player, victim.session_id).expect(409);
+    });
+    
+    it('не переносит историю заблокированного гостя', async () => {
+        const visitor = guest();
+        await submitGame(app, visitor, playGame({ hits: 1 }));
+        await db.query("UPDATE users SET ban_status = 'banned' WHERE session_id = ?", [visitor.sessionId]);
+        
+        await merge(player, visitor.sessionId).expect(403);
+    });
+    
+    it('отвечает 404 на неизвестную сессию и 400 без sessionId', async () => {
+        await merge(player, guest().sessionId).expect(404);
+        await merge(player, undefined).expect(400);
+    });
+});
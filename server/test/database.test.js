@@ -0,0 +1,68 @@
+/**
+ * Адаптер SQLite: транзакции на общей базе
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, createTestApp, closeTestApp } = require('./helpers');
+
+describe('Транзакции SQLite', () => {
+    /**
+     * Число игроков с этим именем
+     */
+    async function countUsers(username) {
+        const [{ count }] = await db.query('SELECT COUNT(*) AS count FROM users WHERE username = ?', [username]);
+        return Number(count);
+    }
+    
+    /**
+     * Дать выполниться другим запросам (таймеры, ввод-вывод)
+     */
+    function yieldToOthers() {
+        return new Promise(resolve => setImmediate(resolve));
+    }
+    
+    before(createTestApp);
+    
+    after(closeTestApp);
+    
+    it('держит запросы вне транзакции до ROLLBACK', async () => {
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+        await connection.query('INSERT INTO users (session_id, username) VALUES (?, ?)', ['tx-guest', 'rolled_back']);
+        
+        let outsideDone = false;
+        const outside = countUsers('rolled_back').then((count) => {
+            outsideDone = true;
+            return count;
+        });
+        
+        await yieldToOthers();
+        assert.equal(outsideDone, false, 'запрос вне транзакции ждёт её завершения');
+        
+        await connection.rollback();
+        connection.release();
+        
+        assert.equal(await outside, 0, 'запрос не видит отменённых изменений');
+    });
+    
+    it('выполняет транзакции по очереди', async () => {
+        const first = await db.getConnection();
+        const second = await db.getConnection();
+        
+        await first.beginTransaction();
+        const secondBegin = second.beginTransaction();
+        
+        await first.query('INSERT INTO users (session_id, username) VALUES (?, ?)', ['tx-first', 'queued']);
+        await yieldToOthers();
+        await first.commit();
+        
+        await secondBegin;
+        await second.query('INSERT INTO users (session_id, username) VALUES (?, ?)', ['tx-second', 'queued']);
+        await second.commit();
+        first.release();
+        second.release();
+        
+        assert.equal(await countUsers('queued'), 2);
+    });
+});
@@ -0,0 +1,213 @@
+/**
+ * Общие функции для интеграционных тестов API
+ * Каждый тестовый файл выполняется в своём процессе (node --test)
+ * и получает свою одноразовую SQLite базу в памяти
+ */
+
+// Окружение задаём до загрузки модулей приложения
+process.env.NODE_ENV = 'test';
+process.env.DB_CLIENT = 'sqlite';
+delete process.env.SQLITE_FILE;
+delete process.env.SKIP_TELEGRAM_VERIFY;
+process.env.BOT_TOKEN = 'test-bot-token';
+process.env.ADMIN_KEY = 'test-admin-key';
+process.env.GAME_TOKEN_SECRET = 'test-game-token-secret';
+process.env.AUTH_TOKEN_SECRET = 'test-auth-token-secret';
+process.env.RATE_LIMIT_MAX_REQUESTS = '100000';
+
+const crypto = require('crypto');
+const request = require('supertest');
+const db = require('../config/database');
+const { migrate } = require('../config/migrator');
+const { createApp } = require('../app');
+const { signGameToken, verifyGameToken } = require('../middleware/gameSession');
+const { SCORING, WEAPON_RULES } = require('../config/constants');
+
+// Логи приложения не нужны в выводе тестов (ошибки остаются)
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+}
+
+/**
+ * Приложение на чистой базе с применёнными миграциями
+ */
+async function createTestApp() {
+    await migrate();
+    return createApp();
+}
+
+/**
+ * Закрыть базу после тестов файла
+ */
+async function closeTestApp() {
+    await db.closePool();
+}
+
+/**
+ * Подписанный initData, как его формирует Telegram
+ * @param {object} user - пользователь Telegram (id, username, first_name)
+ * @param {object} options - botToken (по умолчанию тестовый), authDate (секунды)
+ */
+function makeInitData(user, { botToken = process.env.BOT_TOKEN, authDate = Math.floor(Date.now() / 1000) } = {}) {
+    const fields = {
+        query_id: crypto.randomBytes(8).toString('hex'),
+        user: JSON.stringify(user),
+        auth_date: String(authDate),
+    };
+    
+    const dataCheckString = Object.keys(fields)
+        .sort()
+        .map(key => `${key}=${fields[key]}`)
+        .join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const hash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+    
+    return new URLSearchParams({ ...fields, hash }).toString();
+}
+
+/**
+ * Новый гостевой игрок
+ */
+function guest() {
+    return { sessionId: crypto.randomUUID() };
+}
+
+/**
+ * Войти через Telegram и получить игрока с токеном сессии
+ * @param {object} user - пользователь Telegram (id, username)
+ * @returns {Promise<{telegramId: number, token: string}>}
+ */
+async function telegramPlayer(app, user) {
+    const res = await request(app)
+        .post('/api/auth/telegram')
+        .send({ initData: makeInitData(user) })
+        .expect(200);
+    
+    return { telegramId: user.id, token: res.body.data.token };
+}
+
+/**
+ * Запрос от имени игрока: токен — в заголовок, остальное — в тело
+ * @param {import('supertest').Test} req
+ * @param {object} identity - guest() или telegramPlayer()
+ * @param {object} body - поля запроса
+ */
+function sendAs(req, identity, body) {
+    const { token, ...player } = identity;
+    if (token) req.set('Authorization', `Bearer ${token}`);
+    return req.send({ ...player, ...body });
+}
+
+/**
+ * Профиль игрока из Telegram по его токену сессии
+ * @param {object} player - telegramPlayer()
+ */
+function getProfile(app, player) {
+    return request(app).get('/api/scores/user/me').set('Authorization', `Bearer ${player.token}`);
+}
+
+/**
+ * Журнал выстрелов по правилам replay (режимы кроме точности)
+ * Попадания идут подряд с интервалом interval, промахи — в конце.
+ * Опустевший магазин перезаряжается событием [t, -1] перед следующим выстрелом
+ * @returns {{events: Array, score: number, targetsHit: number, shotsFired: number, maxCombo: number}}
+ */
+function playGame({ hits, misses = 0, weapon = 'pistol', interval = 500 }) {
+    const rules = WEAPON_RULES[weapon];
+    const events = [];
+    let combo = 1;
+    let maxCombo = 1;
+    let score = 0;
+    let t = 100;
+    let lastHit = -Infinity;
+    let magazineShots = 0;
+    
+    // Выстрел из пустого магазина: сначала перезарядка
+    const reloadIfEmpty = () => {
+        if (magazineShots === rules.magazine) {
+            events.push([t, -1]);
+            t += rules.reloadTime;
+            magazineShots = 0;
+        }
+        magazineShots++;
+    };
+    
+    for (let i = 0; i < hits; i++) {
+        reloadIfEmpty();
+        
+        // После долгой перезарядки комбо сгорает
+        if (t - lastHit > SCORING.COMBO_RESET_MS) {
+            combo = 1;
+        }
+        
+        const points = rules.damage * combo;
+        events.push([t, 0, 500, 500, combo, points]);
+        score += points;
+        
+        // Комбо растёт, только если предыдущее попадание было недавно
+        if (t - lastHit < SCORING.COMBO_WINDOW_MS) {
+            combo = Math.min(combo + 1, rules.maxCombo);
+        }
+        maxCombo = Math.max(maxCombo, combo);
+        lastHit = t;
+        t += interval;
+    }
+    
+    for (let i = 0; i < misses; i++) {
+        reloadIfEmpty();
+        events.push([t, 0, 500, 500, 0, 0]);
+        t += interval;
+    }
+    
+    return { events, score, targetsHit: hits, shotsFired: hits + misses, maxCombo };
+}
+
+/**
+ * Начать игру и «состарить» токен: игра как будто идёт уже elapsedMs
+ * (минимальная длительность результата — 1 секунда)
+ */
+async function startGame(app, identity, { gameMode = 'endless', weapon = 'pistol', elapsedMs = 30000 } = {}) {
+    const res = await sendAs(request(app).post('/api/games/start'), identity, { gameMode, weapon })
+        .expect(201);
+    
+    const payload = verifyGameToken(res.body.data.gameToken);
+    return signGameToken({ ...payload, st: payload.st - elapsedMs });
+}
+
+/**
+ * Сыграть и отправить результат
+ * @param {object} game - результат playGame
+ * @param {object} options - gameMode, weapon, elapsedMs, overrides (поля запроса)
+ * @returns {Promise<import('supertest').Response>}
+ */
+async function submitGame(app, identity, game, { gameMode = 'endless', weapon = 'pistol', elapsedMs, overrides = {} } = {}) {
+    const gameToken = await startGame(app, identity, { gameMode, weapon, elapsedMs });
+    
+    return sendAs(request(app).post('/api/scores'), identity, {
+        gameToken,
+        gameMode,
+        weapon,
+        score: game.score,
+        targetsHit: game.targetsHit,
+        shotsFired: game.shotsFired,
+        maxCombo: game.maxCombo,
+        events: game.events,
+        ...overrides,
+    });
+}
+
+module.exports = {
+    request,
+    db,
+    createTestApp,
+    closeTestApp,
+    makeInitData,
+    guest,
+    telegramPlayer,
+    sendAs,
+    getProfile,
+    playGame,
+    startGame,
+    submitGame,
+};
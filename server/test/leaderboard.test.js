@@ -0,0 +1,153 @@
+/**
+ * GET /api/scores/leaderboard и /leaderboard/around
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    request,
+    db,
+    createTestApp,
+    closeTestApp,
+    guest,
+    telegramPlayer,
+    playGame,
+    submitGame,
+} = require('./helpers');
+
+describe('GET /api/scores/leaderboard', () => {
+    let app;
+    const players = {};
+    
+    let nextTelegramId = 100;
+    
+    /**
+     * Игрок из Telegram с именем и результатами игр (по числу попаданий)
+     * xp — опыт заранее, чтобы оружие было открыто
+     */
+    async function addPlayer(name, hitsPerGame, { interval, weapon, elapsedMs, xp = 0 } = {}) {
+        const player = await telegramPlayer(app, { id: nextTelegramId++, username: name });
+        await db.query('UPDATE users SET xp = ? WHERE telegram_id = ?', [xp, player.telegramId]);
+        for (const hits of hitsPerGame) {
+            await submitGame(app, player, playGame({ hits, weapon, interval }), { weapon, elapsedMs });
+        }
+        players[name] = player;
+        return player;
+    }
+    
+    before(async () => {
+        app = await createTestApp();
+        
+        await addPlayer('alice', [3, 10]);
+        await addPlayer('bob', [6]);
+        await addPlayer('carol', [2, 2, 2]);
+        await addPlayer('dave', [6], { weapon: 'shotgun', interval: 900, xp: 750 });
+        
+        // Результат на проверке не попадает в рейтинг
+        const cheater = await addPlayer('cheater', [30], { elapsedMs: 14000, interval: 400 });
+        const [pending] = await db.query(
+            'SELECT s.status FROM scores s JOIN users u ON u.id = s.user_id WHERE u.telegram_id = ?',
+            [cheater.telegramId]
+        );
+        assert.equal(pending.status, 'pending');
+        
+        // Теневой бан скрывает игрока из рейтингов
+        const shadow = await addPlayer('shadow', [20]);
+        await db.query("UPDATE users SET ban_status = 'shadow' WHERE telegram_id = ?", [shadow.telegramId]);
+        
+        // Гости в рейтингах не участвуют
+        players.guest = guest();
+        await submitGame(app, players.guest, playGame({ hits: 25 }));
+    });
+    
+    after(closeTestApp);
+    
+    it('показывает лучший результат каждого игрока по убыванию', async () => {
+        const res = await request(app).get('/api/scores/leaderboard').expect(200);
+        const { leaders, pagination } = res.body.data;
+        
+        assert.deepEqual(leaders.map(leader => leader.username), ['alice', 'dave', 'bob', 'carol']);
+        assert.deepEqual(leaders.map(leader => leader.rank), [1, 2, 3, 4]);
+        assert.equal(leaders[0].score, playGame({ hits: 10 }).score);
+        assert.equal(pagination.total, 4);
+        assert.equal(pagination.hasMore, false);
+    });
+    
+    it('поддерживает пагинацию', async () => {
+        const res = await request(app).get('/api/scores/leaderboard?limit=2&offset=1').expect(200);
+        const { leaders, pagination } = res.body.data;
+        
+        assert.deepEqual(leaders.map(leader => leader.username), ['dave', 'bob']);
+        assert.deepEqual(leaders.map(leader => leader.rank), [2, 3]);
+        assert.equal(pagination.hasMore, true);
+    });
+    
+    it('фильтрует по оружию', async () => {
+        const res = await request(app).get('/api/scores/leaderboard?weapon=shotgun').expect(200);
+        
+        assert.deepEqual(res.body.data.leaders.map(leader => leader.username), ['dave']);
+    });
+    
+    it('сортирует по лучшему комбо', async () => {
+        const res = await request(app).get('/api/scores/leaderboard?type=combo').expect(200);
+        const combos = res.body.data.leaders.map(leader => leader.maxCombo);
+        
+        assert.deepEqual(combos, [...combos].sort((a, b) => b - a));
+    });
+    
+    it('считает суммарное время в игре', async () => {
+        const res = await request(app).get('/api/scores/leaderboard?type=playtime').expect(200);
+        const { leaders } = res.body.data;
+        
+        // У carol три игры по 30 секунд — больше всех
+        assert.equal(leaders[0].username, 'carol');
+        assert.equal(leaders[0].totalGames, 3);
+        assert.ok(leaders[0].totalPlaytimeMs >= 90000);
+        
+        // Без теневого бана, игрока с результатом на проверке и гостя
+        assert.equal(leaders.length, 4);
+        assert.ok(!leaders.some(leader => leader.username === 'shadow'));
+    });
+    
+    it('отклоняет неизвестный тип рейтинга', async () => {
+        await request(app).get('/api/scores/leaderboard?type=money').expect(400);
+    });
+    
+    describe('around', () => {
+        it('возвращает окно вокруг игрока', async () => {
+            const res = await request(app)
+                .get('/api/scores/leaderboard/around')
+                .query({ telegramId: players.bob.telegramId, range: 1 })
+                .expect(200);
+            const { rank, leaders } = res.body.data;
+            
+            assert.equal(rank, 3);
+            assert.deepEqual(leaders.map(leader => leader.username), ['dave', 'bob', 'carol']);
+            assert.deepEqual(leaders.map(leader => leader.rank), [2, 3, 4]);
+            assert.equal(leaders[1].isCurrentUser, true);
+        });
+        
+        it('возвращает пустое окно игроку без результатов в рейтинге', async () => {
+            const res = await request(app)
+                .get('/api/scores/leaderboard/around')
+                .query({ telegramId: players.cheater.telegramId })
+                .expect(200);
+            
+            assert.equal(res.body.data.rank, null);
+            assert.deepEqual(res.body.data.leaders, []);
+        });
+        
+        it('не ставит гостя в рейтинг', async () => {
+            const res = await request(app)
+                .get('/api/scores/leaderboard/around')
+                .query({ sessionId: players.guest.sessionId })
+                .expect(200);
+            
+            assert.equal(res.body.data.rank, null);
+        });
+        
+        it('требует игрока', async () => {
+            await request(app).get('/api/scores/leaderboard/around').expect(400);
+        });
+    });
+});
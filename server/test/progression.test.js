@@ -0,0 +1,123 @@
+/**
+ * Опыт, уровни и открытие оружия
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    request,
+    db,
+    createTestApp,
+    closeTestApp,
+    guest,
+    telegramPlayer,
+    sendAs,
+    getProfile,
+    playGame,
+    startGame,
+    submitGame,
+} = require('./helpers');
+
+describe('Опыт и открытие оружия', () => {
+    let app;
+    
+    /**
+     * Задать игроку опыт
+     */
+    function setXp(player, xp) {
+        return db.query('UPDATE users SET xp = ? WHERE telegram_id = ?', [xp, player.telegramId]);
+    }
+    
+    before(async () => {
+        app = await createTestApp();
+    });
+    
+    after(closeTestApp);
+    
+    it('начисляет опыт за очки, попадания и точность', async () => {
+        const player = await telegramPlayer(app, { id: 5001, username: 'rookie' });
+        const game = playGame({ hits: 10, misses: 10 });
+        
+        const res = await submitGame(app, player, game);
+        const { progression } = res.body.data;
+        
+        // 1 XP за 100 очков, 2 XP за попадание, 20 × точность от 10 выстрелов
+        const expectedXp = Math.floor(game.score / 100) + 10 * 2 + 10;
+        assert.equal(progression.xpGained, expectedXp);
+        assert.equal(progression.xp, expectedXp);
+        assert.equal(progression.level, 1);
+        assert.equal(progression.nextLevelXp, 250);
+        
+        const profile = await getProfile(app, player).expect(200);
+        assert.equal(profile.body.data.progression.xp, expectedXp);
+        assert.deepEqual(
+            profile.body.data.progression.weapons.map(({ weapon, unlockLevel, unlocked }) => [weapon, unlockLevel, unlocked]),
+            [['pistol', 1, true], ['dual', 1, true], ['shotgun', 3, false], ['sniper', 5, false]]
+        );
+    });
+    
+    it('не даёт начать игру с закрытым оружием', async () => {
+        const res = await sendAs(request(app).post('/api/games/start'), guest(), { weapon: 'shotgun' })
+            .expect(403);
+        
+        assert.equal(res.body.code, 'WEAPON_LOCKED');
+        assert.equal(res.body.requiredLevel, 3);
+    });
+    
+    it('открывает дробовик на 3 уровне', async () => {
+        const player = await telegramPlayer(app, { id: 5002, username: 'climber' });
+        await setXp(player, 740);
+        
+        const res = await submitGame(app, player, playGame({ hits: 5 }));
+        const { progression } = res.body.data;
+        
+        assert.equal(progression.level, 3);
+        assert.equal(progression.leveledUp, true);
+        assert.deepEqual(progression.unlockedWeapons, ['shotgun']);
+        
+        const shotgun = await submitGame(app, player, playGame({ hits: 3, weapon: 'shotgun', interval: 900 }), {
+            weapon: 'shotgun',
+        });
+        assert.equal(shotgun.status, 201);
+        
+        await sendAs(request(app).post('/api/games/start'), player, { weapon: 'sniper' }).expect(403);
+    });
+    
+    it('отклоняет результат с оружием, которое закрыто у игрока', async () => {
+        const player = await telegramPlayer(app, { id: 5003, username: 'demoted' });
+        await setXp(player, 2500);
+        const game = playGame({ hits: 3, weapon: 'sniper', interval: 1300 });
+        const gameToken = await startGame(app, player, { weapon: 'sniper' });
+        await setXp(player, 0);
+        
+        const res = await sendAs(request(app).post('/api/scores'), player, {
+            gameToken,
+            weapon: 'sniper',
+            score: game.score,
+            targetsHit: game.targetsHit,
+            shotsFired: game.shotsFired,
+            maxCombo: game.maxCombo,
+            events: game.events,
+        }).expect(403);
+        
+        assert.equal(res.body.code, 'WEAPON_LOCKED');
+    });
+    
+    it('начисляет опыт за результат с проверки только после принятия', async () => {
+        const player = await telegramPlayer(app, { id: 5004, username: 'reviewed' });
+        await db.query('UPDATE users SET trust_score = 0 WHERE telegram_id = 5004');
+        
+        const res = await submitGame(app, player, playGame({ hits: 4 }));
+        assert.equal(res.body.data.status, 'pending');
+        assert.equal(res.body.data.progression.xpGained, 0);
+        
+        await request(app)
+            .put(`/api/admin/scores/${res.body.data.scoreId}/status`)
+            .set('X-Admin-Key', 'test-admin-key')
+            .send({ status: 'approved' })
+            .expect(200);
+        
+        const [user] = await db.query('SELECT xp FROM users WHERE telegram_id = 5004');
+        assert.equal(user.xp, Math.floor(playGame({ hits: 4 }).score / 100) + 4 * 2);
+    });
+});
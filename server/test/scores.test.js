@@ -0,0 +1,416 @@
+/**
+ * POST /api/scores: сохранение результата, токен игры и античит
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    request,
+    db,
+    createTestApp,
+    closeTestApp,
+    makeInitData,
+    guest,
+    telegramPlayer,
+    playGame,
+    startGame,
+    submitGame,
+} = require('./helpers');
+const { WEAPON_RULES } = require('../config/constants');
+
+describe('POST /api/scores', () => {
+    let app;
+    
+    before(async () => {
+        app = await createTestApp();
+    });
+    
+    after(closeTestApp);
+    
+    it('сохраняет результат, совпадающий с журналом выстрелов', async () => {
+        const player = guest();
+        const game = playGame({ hits: 5, misses: 1 });
+        
+        const res = await submitGame(app, player, game);
+        
+        assert.equal(res.status, 201);
+        assert.equal(res.body.success, true);
+        assert.equal(res.body.data.status, 'approved');
+        assert.equal(res.body.data.score, game.score);
+        assert.equal(res.body.data.accuracy, 83);
+        assert.equal(res.body.data.isPersonalBest, true);
+        assert.equal(res.body.data.previousBest, null);
+        
+        // Гость — без места в рейтинге
+        assert.equal(res.body.data.ranked, false);
+        assert.equal(res.body.data.rank, null);
+        
+        const [row] = await db.query('SELECT duration_ms FROM scores WHERE id = ?', [res.body.data.scoreId]);
+        assert.ok(row.duration_ms >= 30000, 'длительность считается сервером по токену');
+    });
+    
+    it('сохраняет журнал выстрелов', async () => {
+        const game = playGame({ hits: 3 });
+        const res = await submitGame(app, guest(), game);
+        
+        const [log] = await db.query('SELECT events FROM score_events WHERE score_id = ?', [res.body.data.scoreId]);
+        assert.deepEqual(JSON.parse(log.events), game.events);
+    });
+    
+    it('отмечает личный рекорд только при улучшении', async () => {
+        const player = guest();
+        await submitGame(app, player, playGame({ hits: 6 }));
+        
+        const worse = await submitGame(app, player, playGame({ hits: 2 }));
+        assert.equal(worse.body.data.isPersonalBest, false);
+        assert.equal(worse.body.data.bestScore, playGame({ hits: 6 }).score);
+        
+        const better = await submitGame(app, player, playGame({ hits: 8 }));
+        assert.equal(better.body.data.isPersonalBest, true);
+    });
+    
+    it('требует gameToken', async () => {
+        const game = playGame({ hits: 1 });
+        const res = await request(app)
+            .post('/api/scores')
+            .send({ ...guest(), ...game });
+        
+        assert.equal(res.status, 400);
+    });
+    
+    it('отклоняет повторное использование токена', async () => {
+        const player = guest();
+        const game = playGame({ hits: 2 });
+        const gameToken = await startGame(app, player);
+        const body = { ...player, gameToken, ...game };
+        
+        await request(app).post('/api/scores').send(body).expect(201);
+        const res = await request(app).post('/api/scores').send(body);
+        
+        assert.equal(res.status, 409);
+    });
+    
+    it('гасит токен и у отклонённого результата', async () => {
+        const player = guest();
+        const game = playGame({ hits: 2 });
+        const gameToken = await startGame(app, player);
+        const body = { ...player, gameToken, ...game };
+        
+        await request(app).post('/api/scores').send({ ...body, score: game.score * 10 }).expect(400);
+        await request(app).post('/api/scores').send(body).expect(409);
+    });
+    
+    it('отклоняет токен другого игрока', async () => {
+        const gameToken = await startGame(app, guest());
+        const res = await request(app)
+            .post('/api/scores')
+            .send({ ...guest(), gameToken, ...playGame({ hits: 1 }) });
+        
+        assert.equal(res.status, 401);
+    });
+    
+    it('отклоняет подделанный токен', async () => {
+        const gameToken = await startGame(app, guest());
+        const [data] = gameToken.split('.');
+        const res = await request(app)
+            .post('/api/scores')
+            .send({ ...guest(), gameToken: `${data}.forged`, ...playGame({ hits: 1 }) });
+        
+        assert.equal(res.status, 401);
+    });
+    
+    describe('игрок из Telegram', () => {
+        it('сохраняет результат игроку из токена сессии', async () => {
+            const player = await telegramPlayer(app, { id: 1001, username: 'tg_shooter' });
+            const res = await submitGame(app, player, playGame({ hits: 3 }));
+            
+            assert.equal(res.status, 201);
+            
+            const [row] = await db.query(
+                'SELECT u.telegram_id FROM scores s JOIN users u ON u.id = s.user_id WHERE s.id = ?',
+                [res.body.data.scoreId]
+            );
+            assert.equal(Number(row.telegram_id), 1001);
+            assert.equal(res.body.data.ranked, true);
+            assert.equal(res.body.data.rank, 1);
+        });
+        
+        it('принимает подписанный initData вместо токена', async () => {
+            const identity = { initData: makeInitData({ id: 1002, username: 'no_token' }) };
+            const res = await submitGame(app, identity, playGame({ hits: 2 }));
+            
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.ranked, true);
+            
+            const [user] = await db.query('SELECT username FROM users WHERE telegram_id = 1002');
+            assert.equal(user.username, 'no_token');
+        });
+        
+        it('отклоняет initData с неверной подписью', async () => {
+            const initData = makeInitData({ id: 1003 }, { botToken: 'other-bot-token' });
+            const res = await request(app)
+                .post('/api/games/start')
+                .send({ initData, telegramId: 1003 })
+                .expect(401);
+            
+            assert.equal(res.body.code, 'INIT_DATA_INVALID');
+        });
+        
+        it('не принимает telegramId без токена', async () => {
+            const res = await request(app)
+                .post('/api/games/start')
+                .send({ telegramId: 1001, gameMode: 'endless', weapon: 'pistol' })
+                .expect(401);
+            
+            assert.equal(res.body.code, 'AUTH_REQUIRED');
+        });
+        
+        it('не пишет результат гостя в аккаунт Telegram по его sessionId', async () => {
+            await telegramPlayer(app, { id: 2003, username: 'session_owner' });
+            const [owner] = await db.query('SELECT session_id FROM users WHERE telegram_id = 2003');
+            
+            const res = await request(app)
+                .post('/api/games/start')
+                .send({ sessionId: owner.session_id })
+                .expect(401);
+            
+            assert.equal(res.body.code, 'AUTH_REQUIRED');
+        });
+        
+        it('не даёт отправить результат за другого игрока', async () => {
+            const owner = await telegramPlayer(app, { id: 2001, username: 'owner' });
+            const other = await telegramPlayer(app, { id: 2002, username: 'other' });
+            const gameToken = await startGame(app, owner);
+            
+            const res = await request(app)
+                .post('/api/scores')
+                .set('Authorization', `Bearer ${other.token}`)
+                .send({ telegramId: 2001, gameToken, ...playGame({ hits: 1 }) });
+            
+            assert.equal(res.status, 401);
+        });
+    });
+    
+    describe('античит', () => {
+        const { magazine, reloadTime } = WEAPON_RULES.pistol;
+        
+        it('отклоняет очки, не совпадающие с журналом', async () => {
+            const game = playGame({ hits: 4 });
+            const res = await submitGame(app, guest(), game, { overrides: { score: game.score * 10 } });
+            
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /score/);
+        });
+        
+        it('отклоняет выстрелы быстрее перезарядки оружия', async () => {
+            const game = playGame({ hits: 3, interval: 100 });
+            const res = await submitGame(app, guest(), game);
+            
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /перезарядки/);
+        });
+        
+        it('отклоняет неверное комбо', async () => {
+            const game = playGame({ hits: 3 });
+            game.events[2][4] = 5;
+            game.events[2][5] = 500;
+            game.score = game.events.reduce((sum, event) => sum + event[5], 0);
+            
+            const res = await submitGame(app, guest(), game);
+            
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /комбо/);
+        });
+        
+        it('отклоняет выстрелы позже конца игры', async () => {
+            const game = playGame({ hits: 3, interval: 5000 });
+            const res = await submitGame(app, guest(), game, { elapsedMs: 3000 });
+            
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /время/);
+        });
+        
+        it('отклоняет попаданий больше, чем выстрелов', async () => {
+            const game = playGame({ hits: 3 });
+            const res = await submitGame(app, guest(), game, { overrides: { shotsFired: 2 } });
+            
+            assert.equal(res.status, 400);
+        });
+        
+        it('пополняет магазин только перезарядкой из журнала', async () => {
+            const game = playGame({ hits: 1, misses: magazine });
+            assert.deepEqual(game.events[magazine], [game.events[magazine - 1][0] + 500, -1]);
+            
+            const res = await submitGame(app, guest(), game);
+            
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.accuracy, Math.round(100 / (magazine + 1)));
+        });
+        
+        it('отклоняет стрельбу без перезарядки магазина даже после паузы', async () => {
+            const game = playGame({ hits: 1, misses: magazine });
+            game.events.splice(magazine, 1);
+            
+            const res = await submitGame(app, guest(), game);
+            
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /без перезарядки магазина/);
+        });
+        
+        it('отклоняет выстрел до конца перезарядки магазина', async () => {
+            const game = playGame({ hits: 1, misses: magazine });
+            game.events[magazine + 1][0] -= 100;
+            
+            const res = await submitGame(app, guest(), game);
+            
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /во время перезарядки магазина/);
+        });
+        
+        it('отправляет слишком быстрый результат на проверку', async () => {
+            const player = guest();
+            const game = playGame({ hits: 30, interval: 400 });
+            const res = await submitGame(app, player, game, { elapsedMs: 14000 });
+            
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.status, 'pending');
+            assert.equal(res.body.data.isPersonalBest, false);
+            
+            const flags = await db.query(
+                'SELECT reason FROM flagged_scores WHERE score_id = ?',
+                [res.body.data.scoreId]
+            );
+            assert.ok(flags.some(flag => flag.reason === 'hit_rate'));
+            
+            const [user] = await db.query('SELECT trust_score FROM users WHERE session_id = ?', [player.sessionId]);
+            assert.ok(user.trust_score < 50, 'доверие к игроку снижается');
+        });
+        
+        it('не принимает результаты заблокированного игрока', async () => {
+            const player = guest();
+            await submitGame(app, player, playGame({ hits: 1 }));
+            await db.query("UPDATE users SET ban_status = 'banned' WHERE session_id = ?", [player.sessionId]);
+            
+            const res = await submitGame(app, player, playGame({ hits: 1 }));
+            
+            assert.equal(res.status, 403);
+        });
+    });
+    
+    describe('дробовик', () => {
+        /**
+         * Игрок 3 уровня: дробовик открыт
+         */
+        async function shotgunPlayer(id) {
+            const player = await telegramPlayer(app, { id, username: `hunter_${id}` });
+            await db.query('UPDATE users SET xp = 750 WHERE telegram_id = ?', [id]);
+            return player;
+        }
+        
+        it('засчитывает несколько дисков одним выстрелом', async () => {
+            const player = await shotgunPlayer(6001);
+            
+            // 3 диска в центре разлёта: 3 × 200 + бонус 2 × 100;
+            // 2 диска, один на краю разлёта: 200 + 100 + бонус 100; промах
+            const game = {
+                events: [
+                    [100, 0, 500, 500, 1, 800, 3],
+                    [1000, 0, 500, 500, 1, 400, 2],
+                    [1900, 0, 500, 500, 0, 0, 0],
+                ],
+                score: 1200,
+                targetsHit: 5,
+                shotsFired: 3,
+                maxCombo: 2,
+            };
+            
+            const res = await submitGame(app, player, game, { weapon: 'shotgun' });
+            
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.status, 'approved');
+            assert.equal(res.body.data.targetsHit, 5);
+            assert.equal(res.body.data.accuracy, 67, 'точность — доля выстрелов с попаданием');
+        });
+        
+        it('отклоняет больше дисков, чем дробинок', async () => {
+            const player = await shotgunPlayer(6002);
+            const game = {
+                events: [[100, 0, 500, 500, 1, 2600, 9]],
+                score: 2600,
+                targetsHit: 9,
+                shotsFired: 1,
+                maxCombo: 1,
+            };
+            
+            const res = await submitGame(app, player, game, { weapon: 'shotgun' });
+            
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /попаданий/);
+        });
+        
+        it('отклоняет очки дроби ниже урона на краю разлёта', async () => {
+            const player = await shotgunPlayer(6003);
+            const game = {
+                events: [[100, 0, 500, 500, 1, 250, 2]],
+                score: 250,
+                targetsHit: 2,
+                shotsFired: 1,
+                maxCombo: 1,
+            };
+            
+            const res = await submitGame(app, player, game, { weapon: 'shotgun' });
+            
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /очки/);
+        });
+    });
+    
+    describe('снайперка', () => {
+        /**
+         * Игрок 5 уровня: снайперка открыта
+         */
+        async function sniperPlayer(id) {
+            const player = await telegramPlayer(app, { id, username: `sniper_${id}` });
+            await db.query('UPDATE users SET xp = 2500 WHERE telegram_id = ?', [id]);
+            return player;
+        }
+        
+        it('удваивает очки за попадание в ядро диска', async () => {
+            const player = await sniperPlayer(6101);
+            
+            // Хедшот 300 × 2, обычное попадание, хедшот с комбо x2
+            const game = {
+                events: [
+                    [100, 0, 500, 500, 1, 600],
+                    [1400, 0, 500, 500, 1, 300],
+                    [2700, 0, 500, 500, 2, 1200, 1],
+                ],
+                score: 2100,
+                targetsHit: 3,
+                shotsFired: 3,
+                maxCombo: 3,
+            };
+            
+            const res = await submitGame(app, player, game, { weapon: 'sniper' });
+            
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.score, 2100);
+        });
+        
+        it('отклоняет очки больше хедшота', async () => {
+            const player = await sniperPlayer(6102);
+            const game = {
+                events: [[100, 0, 500, 500, 1, 700]],
+                score: 700,
+                targetsHit: 1,
+                shotsFired: 1,
+                maxCombo: 1,
+            };
+            
+            const res = await submitGame(app, player, game, { weapon: 'sniper' });
+            
+            assert.equal(res.status, 400);
+            assert.match(res.body.error, /очки/);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Профиль игрока: /api/scores/user/*
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    request,
+    db,
+    createTestApp,
+    closeTestApp,
+    guest,
+    telegramPlayer,
+    getProfile,
+    playGame,
+    submitGame,
+} = require('./helpers');
+
+describe('/api/scores/user', () => {
+    let app;
+    
+    before(async () => {
+        app = await createTestApp();
+    });
+    
+    after(closeTestApp);
+    
+    describe('GET /user/:sessionId', () => {
+        it('возвращает 404 для игрока без игр', async () => {
+            await request(app).get(`/api/scores/user/${guest().sessionId}`).expect(404);
+        });
+        
+        it('отклоняет некорректный sessionId', async () => {
+            await request(app).get('/api/scores/user/not-a-uuid').expect(400);
+        });
+        
+        it('возвращает статистику, последние игры и место в рейтинге', async () => {
+            const player = guest();
+            await submitGame(app, player, playGame({ hits: 4, misses: 4 }));
+            await submitGame(app, player, playGame({ hits: 6 }));
+            
+            const res = await request(app).get(`/api/scores/user/${player.sessionId}`).expect(200);
+            const { stats, recentGames, rank, username } = res.body.data;
+            
+            assert.match(username, /^Игрок #\d+$/);
+            assert.equal(stats.totalGames, 2);
+            assert.equal(stats.bestScore, playGame({ hits: 6 }).score);
+            assert.equal(stats.totalHits, 10);
+            assert.equal(stats.avgAccuracy, 75);
+            assert.equal(stats.bestCombo, 6);
+            assert.ok(stats.totalPlaytimeMs >= 60000);
+            assert.equal(recentGames.length, 2);
+            
+            // Гость в рейтинге не участвует
+            assert.equal(rank, null);
+            assert.equal(res.body.data.ranked, false);
+        });
+    });
+    
+    describe('PUT /user/:sessionId', () => {
+        it('меняет имя игрока', async () => {
+            const player = guest();
+            await submitGame(app, player, playGame({ hits: 1 }));
+            
+            const res = await request(app)
+                .put(`/api/scores/user/${player.sessionId}`)
+                .send({ username: '  <b>Hawkeye</b> ' })
+                .expect(200);
+            assert.equal(res.body.data.username, 'bHawkeye/b');
+            
+            const profile = await request(app).get(`/api/scores/user/${player.sessionId}`).expect(200);
+            assert.equal(profile.body.data.username, 'bHawkeye/b');
+        });
+        
+        it('не даёт занять чужое имя', async () => {
+            const first = guest();
+            const second = guest();
+            await submitGame(app, first, playGame({ hits: 1 }));
+            await submitGame(app, second, playGame({ hits: 1 }));
+            
+            await request(app).put(`/api/scores/user/${first.sessionId}`).send({ username: 'Robin' }).expect(200);
+            const res = await request(app)
+                .put(`/api/scores/user/${second.sessionId}`)
+                .send({ username: 'Robin' })
+                .expect(400);
+            
+            assert.equal(res.body.error, 'Это имя уже занято');
+        });
+        
+        it('проверяет длину имени', async () => {
+            const player = guest();
+            await submitGame(app, player, playGame({ hits: 1 }));
+            
+            await request(app).put(`/api/scores/user/${player.sessionId}`).send({ username: 'x' }).expect(400);
+            await request(app).put(`/api/scores/user/${player.sessionId}`).send({ username: 'x'.repeat(33) }).expect(400);
+        });
+        
+        it('возвращает 404 для неизвестного игрока', async () => {
+            await request(app).put(`/api/scores/user/${guest().sessionId}`).send({ username: 'Ghost' }).expect(404);
+        });
+    });
+    
+    describe('GET /user/me', () => {
+        it('отдаёт профиль игрока из Telegram по токену сессии', async () => {
+            const player = await telegramPlayer(app, { id: 42, username: 'newcomer' });
+            const res = await getProfile(app, player).expect(200);
+            
+            assert.equal(res.body.data.username, 'newcomer');
+            assert.equal(res.body.data.stats.totalGames, 0);
+            assert.deepEqual(res.body.data.recentGames, []);
+        });
+        
+        it('показывает место игрока из Telegram в рейтинге', async () => {
+            const player = await telegramPlayer(app, { id: 43, username: 'ranked_player' });
+            await submitGame(app, player, playGame({ hits: 9 }));
+            
+            const res = await getProfile(app, player).expect(200);
+            
+            assert.equal(res.body.data.username, 'ranked_player');
+            assert.equal(res.body.data.ranked, true);
+            assert.equal(res.body.data.rank, 1);
+        });
+        
+        it('требует токен сессии', async () => {
+            const res = await request(app).get('/api/scores/user/me').expect(401);
+            assert.equal(res.body.code, 'AUTH_REQUIRED');
+            
+            const forged = await getProfile(app, { token: 'forged' }).expect(401);
+            assert.equal(forged.body.code, 'AUTH_TOKEN_INVALID');
+        });
+        
+        it('не отдаёт и не создаёт профиль по одному Telegram ID', async () => {
+            await request(app).get('/api/scores/user/telegram/44').expect(404);
+            
+            const [{ count }] = await db.query('SELECT COUNT(*) AS count FROM users WHERE telegram_id = 44');
+            assert.equal(Number(count), 0);
+        });
+    });
+});